@@ -1,23 +1,105 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
-const { readFileSync, existsSync, writeFileSync, mkdirSync, chmodSync, appendFileSync } = require('fs');
+const { execSync, execFileSync } = require('child_process');
+const { readFileSync, existsSync, writeFileSync, mkdirSync, chmodSync, appendFileSync, openSync } = require('fs');
 const chalk = require('chalk');
 const crypto = require('crypto');
+const os = require('os');
 const path = require('path');
+const readline = require('readline');
+const tty = require('tty');
+const { DEFAULT_LANGUAGE, LANGUAGE_NAMES, resolveLanguage, translate } = require('./messages');
 
 const CONFIG = {
   TIMEOUT: {
     DEFAULT: 30000,
     MIN: 5000,
-    MAX: 120000
+    MAX: 120000,
+    TOTAL_MAX: 30 * 60 * 1000
   },
   FILE_SIZE: {
     DEFAULT_MAX: 50000,
     MIN: 1000,
     MAX: 1000000
   },
-  CACHE_DURATION: 24 * 60 * 60 * 1000,
+  CONTEXT: {
+    CHARS_PER_TOKEN: 4,
+    RESPONSE_TOKENS: 1000,
+    SAFETY_MARGIN: 0.1,
+    MIN_TOKENS: 1024,
+    DEFAULT_TOKENS: 8192,
+    MAX_TOKENS: 2000000,
+    MODEL_WINDOWS: {
+      'gpt-4': 8192,
+      'gpt-4-32k': 32768,
+      'gpt-4-turbo': 128000,
+      'gpt-4o': 128000,
+      'gpt-4o-mini': 128000,
+      'gpt-3.5-turbo': 16385,
+      'gemini-pro': 30720,
+      'gemini-1.5-flash': 1048576,
+      'gemini-1.5-pro': 2097152,
+      'codellama': 16384,
+      'llama3': 8192,
+      'command': 4096,
+      'command-r': 128000
+    }
+  },
+  KEY_COMMAND_TIMEOUT: 10000,
+  RETRY: {
+    DEFAULT_COUNT: 2,
+    MIN: 0,
+    MAX: 5,
+    BASE_DELAY: 1000,
+    MAX_DELAY: 10000
+  },
+  // USD per million tokens, matched by longest model name prefix
+  PRICING: {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-32k': { input: 60, output: 120 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'gemini-pro': { input: 0.5, output: 1.5 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'command': { input: 1, output: 2 },
+    'command-r': { input: 0.15, output: 0.6 },
+    'command-r-plus': { input: 2.5, output: 10 }
+  },
+  BUDGET: {
+    ACTIONS: ['cheaper-model', 'skip'],
+    DEFAULT_ACTION: 'cheaper-model',
+    CHEAPER_MODELS: {
+      openai: 'gpt-4o-mini',
+      claude: 'claude-3-haiku-20240307',
+      gemini: 'gemini-1.5-flash',
+      cohere: 'command-r'
+    }
+  },
+  USAGE_DAYS: 30,
+  CONSENSUS: {
+    POLICIES: ['any-reject', 'majority', 'all-reject'],
+    MIN_PROVIDERS: 2,
+    MAX_PROVIDERS: 3,
+    LINE_TOLERANCE: 2,
+    MESSAGE_SIMILARITY: 0.5
+  },
+  CONCURRENCY: {
+    DEFAULT: 1,
+    MIN: 1,
+    MAX: 16
+  },
+  CACHE_DURATION: {
+    DEFAULT: 24 * 60 * 60 * 1000,
+    MIN: 0,
+    MAX: 30 * 24 * 60 * 60 * 1000
+  },
   BINARY_EXTENSIONS: [
     '.exe', '.dll', '.so', '.dylib', '.bin', '.dat', '.db', '.sqlite',
     '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff', '.webp', '.ico',
@@ -37,12 +119,134 @@ const CONFIG = {
   FILES: {
     RULES: '.code-rules.md',
     IGNORE: '.ai-guard-ignore',
-    CACHE_DIR: '.ai-guard-cache'
+    CACHE_DIR: '.ai-guard-cache',
+    CONFIG: '.ai-guard.json',
+    PACKAGE_JSON: 'package.json',
+    USAGE: '.ai-guard-usage.jsonl',
+    FIXTURES: '.ai-guard-fixtures',
+    DEFAULT_FIXTURE: 'default.json',
+    PROMPT_TEMPLATE: '.ai-guard-prompt.md',
+    SECRETS_ALLOWLIST: '.ai-guard-allowlist'
+  },
+  // Well-known hash of git's empty tree, the base for reviewing a root commit
+  GIT_EMPTY_TREE: '4b825dc642cb6eb9a060e54bf8d69288fbee4904',
+  SECRETS: {
+    // Ordered from specific to generic, overlapping matches keep the first rule
+    PATTERNS: [
+      { id: 'private-key', name: 'Private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+      { id: 'aws-access-key', name: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/ },
+      { id: 'aws-secret-key', name: 'AWS secret access key', pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"`:=\s]([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/i },
+      { id: 'github-token', name: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/ },
+      { id: 'gitlab-token', name: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}/ },
+      { id: 'slack-token', name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+      { id: 'slack-webhook', name: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9_/]+/ },
+      { id: 'anthropic-key', name: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{32,}/ },
+      { id: 'openai-key', name: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{32,}/ },
+      { id: 'google-api-key', name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}/ },
+      { id: 'stripe-key', name: 'Stripe live key', pattern: /\b[rs]k_live_[0-9A-Za-z]{24,}/ },
+      { id: 'npm-token', name: 'npm access token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/ }
+    ],
+    ENTROPY: {
+      ID: 'high-entropy',
+      NAME: 'High-entropy string',
+      MIN_LENGTH: 16,
+      THRESHOLD: 3.5,
+      // "key" alone names cache keys, map keys and React keys, so it only counts after one of these words
+      KEY_QUALIFIERS: ['api', 'access', 'secret', 'private', 'signing', 'encryption', 'auth', 'client', 'master', 'license']
+    }
+  },
+  REDACTION: {
+    // PII detectors are off by default, enable them with AI_GUARD_PII or "redaction.pii"
+    PII: {
+      email: { type: 'EMAIL', label: 'EMAIL_HIDDEN', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+      iban: {
+        type: 'IBAN',
+        label: 'IBAN_HIDDEN',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+        test: (value) => isValidIban(value)
+      },
+      phone: {
+        type: 'PHONE',
+        label: 'PHONE_HIDDEN',
+        pattern: /(?<![\w+])(?:\+\d{1,3}[ -]?)?(?:\(\d{1,4}\)[ -]?)?\d{2,4}(?:[ -]\d{2,8}){1,4}(?![\w-])/g,
+        test: (value) => /^\d{9,15}$/.test(value.replace(/\D/g, ''))
+      },
+      hostname: { type: 'HOSTNAME', label: 'HOSTNAME_HIDDEN' }
+    },
+    INTERNAL_SUFFIXES: ['internal', 'intranet', 'corp', 'lan', 'local', 'localdomain', 'home.arpa']
   },
+  PROMPT: {
+    SECTIONS: ['system', 'user'],
+    VARIABLES: ['rules', 'changes', 'branch', 'commitMessage', 'languages', 'fileList', 'responseFormat', 'language']
+  },
+  LANGUAGES: {
+    '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+    '.ts': 'TypeScript', '.tsx': 'TypeScript', '.py': 'Python', '.rb': 'Ruby', '.go': 'Go',
+    '.rs': 'Rust', '.java': 'Java', '.kt': 'Kotlin', '.swift': 'Swift', '.php': 'PHP',
+    '.c': 'C', '.h': 'C', '.cpp': 'C++', '.cc': 'C++', '.hpp': 'C++', '.cs': 'C#',
+    '.scala': 'Scala', '.sh': 'Shell', '.bash': 'Shell', '.sql': 'SQL', '.html': 'HTML',
+    '.css': 'CSS', '.scss': 'SCSS', '.vue': 'Vue', '.svelte': 'Svelte', '.md': 'Markdown',
+    '.json': 'JSON', '.yml': 'YAML', '.yaml': 'YAML', '.toml': 'TOML', '.xml': 'XML',
+    '.tf': 'Terraform', 'Dockerfile': 'Dockerfile'
+  },
+  PACKAGE_CONFIG_KEY: 'aiCommitGuard',
   COMMIT_FLAGS: {
     SUCCESS: 'AI-REVIEW-PASSED',
     TIMEOUT: 'AI-REVIEW-FAILED-TIMEOUT',
-    ERROR: 'AI-REVIEW-SKIPPED-ERROR'
+    ERROR: 'AI-REVIEW-SKIPPED-ERROR',
+    WARNING: 'AI-REVIEW-PASSED-WITH-WARNINGS',
+    PARTIAL: 'AI-REVIEW-PARTIAL',
+    BUDGET: 'AI-REVIEW-SKIPPED-BUDGET',
+    OVERRIDDEN: 'AI-REVIEW-OVERRIDDEN'
+  },
+  OVERRIDE: {
+    TRAILER: 'AI-Review-Override-Reason',
+    MAX_REASON_LENGTH: 200
+  },
+  FAILURE_POLICY: {
+    TYPES: ['missingKey', 'timeout', 'error'],
+    POLICIES: ['allow-with-flag', 'block', 'prompt'],
+    DEFAULT: 'allow-with-flag',
+    // Stored review result, and so the commit flag, for each failure that is let through
+    RESULTS: { missingKey: 'ERROR', timeout: 'TIMEOUT', error: 'ERROR' }
+  },
+  VERDICTS: ['APPROVE', 'REJECT'],
+  SEVERITY_LEVELS: ['critical', 'high', 'medium', 'low', 'info'],
+  SEVERITY_ALIASES: {
+    blocker: 'critical',
+    security: 'critical',
+    error: 'high',
+    major: 'high',
+    bug: 'high',
+    warning: 'medium',
+    moderate: 'medium',
+    minor: 'low',
+    style: 'low',
+    suggestion: 'info',
+    note: 'info'
+  },
+  DEFAULT_SEVERITY: 'medium',
+  OUTPUT_FORMATS: ['text', 'json', 'sarif', 'junit', 'markdown'],
+  SARIF_LEVELS: {
+    critical: 'error',
+    high: 'error',
+    medium: 'warning',
+    low: 'note',
+    info: 'note'
+  },
+  GENERAL_RULE_ID: 'general',
+  SEVERITY_ICONS: {
+    critical: '🔴',
+    high: '🟠',
+    medium: '🟡',
+    low: '🔵',
+    info: '⚪'
+  },
+  STATUS_LABELS: {
+    REJECT: '❌ Blocked',
+    WARNING: '⚠️ Passed with warnings',
+    SUCCESS: '✅ Passed',
+    ERROR: '⛔ Not reviewed'
   }
 };
 
@@ -54,52 +258,105 @@ const DEFAULT_IGNORE_PATTERNS = [
   '*.min.js', '*.min.css', '*.bundle.*', '*-lock.*',
   '.ai-guard-cache/*',
   '.ai-guard-result',
+  '.ai-guard-usage.jsonl',
+  '.ai-guard-fixtures/*',
   ...CONFIG.EXCLUDE_PATTERNS
 ];
 
 const SENSITIVE_KEYWORDS = ['password', 'secret', 'token', 'key', 'private', 'credential'];
 
+// Applied in order; `value` is the part that gets masked, and `(?!\[)` skips values an earlier rule already hid
+const REDACTION_RULES = [
+  { type: 'API_KEY', label: 'API_KEY_HIDDEN', pattern: /(['"`])(?<value>sk-[a-zA-Z0-9]{32,})\1/g },
+  {
+    type: 'SECRET',
+    label: 'SECRET_HIDDEN',
+    pattern: /(['"`])(?<value>[a-zA-Z0-9]{32,})\1/g,
+    test: (value, keywords) => keywords.some(keyword => value.toLowerCase().includes(keyword))
+  },
+  { type: 'PASSWORD', label: 'PASSWORD_HIDDEN', pattern: /\w*password\w*\s*[:=]\s*(['"`])(?!\[)(?<value>[^'"`]+)\1/gi },
+  { type: 'TOKEN', label: 'TOKEN_HIDDEN', pattern: /\w*token\w*\s*[:=]\s*(['"`])(?!\[)(?<value>[^'"`]+)\1/gi },
+  {
+    type: 'SECRET',
+    label: 'SECRET_HIDDEN',
+    pattern: /\w*(?:secret|api[_-]?key|private[_-]?key|access[_-]?key)\w*\s*[:=]\s*(['"`])(?!\[)(?<value>[^'"`]+)\1/gi
+  }
+];
+
+// ISO 13616 mod-97 check, so order numbers and ids that merely look like an IBAN stay readable
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => letter.charCodeAt(0) - 55);
+  return digits.match(/\d{1,7}/g).reduce((remainder, part) => Number(String(remainder) + part) % 97, 0) === 1;
+}
+
+const OPENAI_STREAM = {
+  format: 'sse',
+  payload: (payload) => ({ ...payload, stream: true }),
+  extractDelta: (event) => event.choices?.[0]?.delta?.content || ''
+};
+
 const AI_PROVIDERS = {
   OPENAI: {
     name: 'openai',
     apiUrl: 'https://api.openai.com/v1/chat/completions',
     model: 'gpt-4',
+    contextTokens: 8192,
+    apiKeyEnv: ['OPENAI_API_KEY'],
     headers: (apiKey) => ({
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
     }),
-    payload: (prompt, model) => ({
+    payload: (prompt, model, { system } = {}) => ({
       model,
-      messages: [{ role: 'user', content: prompt }],
+      messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }],
       temperature: 0.1,
       max_tokens: 1000
     }),
-    extractResponse: (data) => data.choices[0].message.content
+    extractResponse: (data) => data.choices[0].message.content,
+    extractUsage: (data) => data.usage && { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens },
+    stream: OPENAI_STREAM
   },
   CLAUDE: {
     name: 'claude',
     apiUrl: 'https://api.anthropic.com/v1/messages',
     model: 'claude-3-sonnet-20240229',
+    contextTokens: 200000,
+    apiKeyEnv: ['CLAUDE_API_KEY', 'ANTHROPIC_API_KEY'],
     headers: (apiKey) => ({
       'x-api-key': apiKey,
       'Content-Type': 'application/json',
       'anthropic-version': '2023-06-01'
     }),
-    payload: (prompt, model) => ({
+    payload: (prompt, model, { system } = {}) => ({
       model,
       max_tokens: 1000,
+      ...(system ? { system } : {}),
       messages: [{ role: 'user', content: prompt }]
     }),
-    extractResponse: (data) => data.content[0].text
+    extractResponse: (data) => data.content[0].text,
+    extractUsage: (data) => data.usage && { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens },
+    stream: {
+      format: 'sse',
+      payload: (payload) => ({ ...payload, stream: true }),
+      extractDelta: (event) => (event.type === 'content_block_delta' && event.delta?.text) || ''
+    }
   },
   GEMINI: {
     name: 'gemini',
     apiUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
     model: 'gemini-pro',
+    contextTokens: 30720,
+    apiKeyEnv: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
     headers: (apiKey) => ({
       'Content-Type': 'application/json'
     }),
-    payload: (prompt) => ({
+    payload: (prompt, model, { system } = {}) => ({
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
       contents: [{ parts: [{ text: prompt }] }],
       generationConfig: {
         temperature: 0.1,
@@ -107,415 +364,3135 @@ const AI_PROVIDERS = {
       }
     }),
     extractResponse: (data) => data.candidates[0].content.parts[0].text,
-    buildUrl: (apiKey) => `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${apiKey}`
+    extractUsage: (data) => data.usageMetadata &&
+      { inputTokens: data.usageMetadata.promptTokenCount, outputTokens: data.usageMetadata.candidatesTokenCount },
+    buildUrl: ({ apiKey, model }) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`
   },
   OLLAMA: {
     name: 'ollama',
     apiUrl: 'http://localhost:11434/api/generate',
     model: 'codellama',
+    contextTokens: 4096,
+    requiresApiKey: false,
+    apiKeyEnv: [],
     headers: () => ({
       'Content-Type': 'application/json'
     }),
-    payload: (prompt, model) => ({
+    payload: (prompt, model, { system } = {}) => ({
       model,
       prompt,
+      ...(system ? { system } : {}),
       stream: false,
       options: { temperature: 0.1 }
     }),
-    extractResponse: (data) => data.response
+    extractResponse: (data) => data.response,
+    extractUsage: (data) => data.prompt_eval_count !== undefined &&
+      { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count },
+    stream: {
+      format: 'ndjson',
+      payload: (payload) => ({ ...payload, stream: true }),
+      extractDelta: (event) => event.response || ''
+    }
   },
   COHERE: {
     name: 'cohere',
     apiUrl: 'https://api.cohere.ai/v1/generate',
     model: 'command',
+    contextTokens: 4096,
+    apiKeyEnv: ['COHERE_API_KEY'],
     headers: (apiKey) => ({
       'Authorization': `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
     }),
-    payload: (prompt, model) => ({
+    // The generate endpoint has no system role, so the system prompt leads the text
+    payload: (prompt, model, { system } = {}) => ({
       model,
-      prompt,
+      prompt: system ? `${system}\n\n${prompt}` : prompt,
       max_tokens: 1000,
       temperature: 0.1
     }),
-    extractResponse: (data) => data.generations[0].text
+    extractResponse: (data) => data.generations[0].text,
+    extractUsage: (data) => data.meta?.billed_units &&
+      { inputTokens: data.meta.billed_units.input_tokens, outputTokens: data.meta.billed_units.output_tokens }
+  },
+  AZURE: {
+    name: 'azure',
+    apiUrl: null,
+    model: 'gpt-4',
+    contextTokens: 8192,
+    apiVersion: '2024-02-01',
+    apiKeyEnv: ['AZURE_OPENAI_API_KEY'],
+    headers: (apiKey) => ({
+      'api-key': apiKey,
+      'Content-Type': 'application/json'
+    }),
+    payload: (prompt, model, context) => AI_PROVIDERS.OPENAI.payload(prompt, model, context),
+    extractResponse: (data) => AI_PROVIDERS.OPENAI.extractResponse(data),
+    extractUsage: (data) => AI_PROVIDERS.OPENAI.extractUsage(data),
+    stream: OPENAI_STREAM,
+    buildUrl: ({ options: { endpoint, deployment, apiVersion } }) =>
+      `${endpoint.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`
+  },
+  MOCK: {
+    name: 'mock',
+    model: 'mock',
+    contextTokens: 128000,
+    requiresApiKey: false,
+    offline: true,
+    apiKeyEnv: [],
+    fixturePath: (fixturesDir, prompt) =>
+      path.join(fixturesDir, `${crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16)}.json`),
+    call: async (prompt, model, { system, options }) => {
+      const exact = AI_PROVIDERS.MOCK.fixturePath(options.fixturesDir, system ? `${system}\n\n${prompt}` : prompt);
+      const fixturePath = [exact, path.join(options.fixturesDir, CONFIG.FILES.DEFAULT_FIXTURE)].find(file => existsSync(file));
+
+      if (!fixturePath) {
+        throw new Error(`No mock fixture for this prompt: expected ${exact} or ${CONFIG.FILES.DEFAULT_FIXTURE} in ${options.fixturesDir}`);
+      }
+
+      const fixture = JSON.parse(readFileSync(fixturePath, 'utf8'));
+      return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+    }
+  },
+  OPENAI_COMPATIBLE: {
+    name: 'openai-compatible',
+    apiUrl: 'http://localhost:8000/v1/chat/completions',
+    model: 'default',
+    contextTokens: 8192,
+    requiresApiKey: false,
+    apiKeyEnv: ['OPENAI_COMPATIBLE_API_KEY'],
+    headers: (apiKey, { options }) => ({
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json',
+      ...options.headers
+    }),
+    payload: (prompt, model, context) => AI_PROVIDERS.OPENAI.payload(prompt, model, context),
+    extractResponse: (data) => AI_PROVIDERS.OPENAI.extractResponse(data),
+    extractUsage: (data) => AI_PROVIDERS.OPENAI.extractUsage(data),
+    stream: OPENAI_STREAM,
+    buildUrl: ({ options }) => {
+      const url = (options.baseUrl || AI_PROVIDERS.OPENAI_COMPATIBLE.apiUrl).replace(/\/+$/, '');
+      return url.endsWith('/chat/completions') ? url : `${url}/chat/completions`;
+    }
   }
 };
 
+const CONFIG_SCHEMA = {
+  provider: { type: 'string|string[]', values: (guard) => guard._getProviderNames() },
+  model: { type: 'string' },
+  timeout: { type: 'integer', min: CONFIG.TIMEOUT.MIN, max: CONFIG.TIMEOUT.MAX },
+  totalTimeout: { type: 'integer', min: CONFIG.TIMEOUT.MIN, max: CONFIG.TIMEOUT.TOTAL_MAX },
+  maxFileSize: { type: 'integer', min: CONFIG.FILE_SIZE.MIN, max: CONFIG.FILE_SIZE.MAX },
+  ignorePatterns: { type: 'string[]' },
+  rulesFile: { type: 'string' },
+  secretScan: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      allowlist: { type: 'string[]' },
+      entropyThreshold: { type: 'number', min: 0, max: 8 }
+    }
+  },
+  language: { type: 'string' },
+  promptTemplate: { type: 'string' },
+  auditLog: { type: 'string' },
+  failurePolicy: { type: 'failure-policy' },
+  redaction: {
+    type: 'object',
+    properties: {
+      pii: { type: 'string|string[]', values: () => [...Object.keys(CONFIG.REDACTION.PII), 'all'] },
+      internalDomains: { type: 'string[]' },
+      keywords: { type: 'string[]' },
+      rules: { type: 'redaction-rules' }
+    }
+  },
+  cacheTtl: { type: 'integer', min: CONFIG.CACHE_DURATION.MIN, max: CONFIG.CACHE_DURATION.MAX },
+  contextTokens: { type: 'integer', min: CONFIG.CONTEXT.MIN_TOKENS, max: CONFIG.CONTEXT.MAX_TOKENS },
+  concurrency: { type: 'integer', min: CONFIG.CONCURRENCY.MIN, max: CONFIG.CONCURRENCY.MAX },
+  retries: { type: 'integer', min: CONFIG.RETRY.MIN, max: CONFIG.RETRY.MAX },
+  stream: { type: 'boolean' },
+  failOn: { type: 'string', values: () => CONFIG.SEVERITY_LEVELS },
+  consensus: { type: 'string', values: () => CONFIG.CONSENSUS.POLICIES },
+  dailyBudget: { type: 'number', min: 0 },
+  budgetAction: { type: 'string', values: () => CONFIG.BUDGET.ACTIONS },
+  cheaperModels: { type: 'string-map' },
+  pricing: { type: 'price-map' },
+  azure: {
+    type: 'object',
+    properties: {
+      endpoint: { type: 'url' },
+      deployment: { type: 'string' },
+      apiVersion: { type: 'string' }
+    }
+  },
+  openaiCompatible: {
+    type: 'object',
+    properties: {
+      baseUrl: { type: 'url' },
+      headers: { type: 'string-map' }
+    }
+  },
+  mock: {
+    type: 'object',
+    properties: {
+      fixturesDir: { type: 'string' }
+    }
+  },
+  customProviders: { type: 'string[]' },
+  providerOptions: { type: 'object-map' }
+};
+
 class AICommitGuard {
   constructor() {
-    this.apiKey = this._getApiKey();
-    this.provider = this._getProvider();
+    this.customProviders = {};
+    this.providersLoaded = false;
+    this.configDir = process.cwd();
+    const projectConfig = this.loadConfig();
+    this.config = projectConfig.config;
+    this.configSource = projectConfig.source;
+    this.configErrors = projectConfig.errors;
+    this.language = this._getLanguage();
+    this.secretScan = this._getSecretScan();
+    this.sensitiveKeywords = [...SENSITIVE_KEYWORDS, ...(this.config.redaction?.keywords || []).map(keyword => keyword.toLowerCase())];
+    this.piiDetectors = this._getPiiDetectors();
+    this.redactionRules = this._getRedactionRules();
+
+    this.apiKeys = {};
+    this.providers = this._getProviders();
+    this.provider = this.providers[0];
     this.timeout = this._getTimeout();
+    this.totalTimeout = this._getTotalTimeout();
+    this.deadline = null;
     this.maxFileSize = this._getMaxFileSize();
     this.model = this._getModel();
+    this.failOn = this._getFailOn();
+    this.consensus = this._getConsensus();
+    this.cacheTtl = this._getCacheTtl();
+    this.contextTokens = this._getContextTokens();
+    this.concurrency = this._getConcurrency();
+    this.retries = this._getRetries();
+    this.stream = this._getStream();
+    this.dailyBudget = this._getDailyBudget();
+    this.budgetAction = this._getBudgetAction();
+    this.budgetModels = null;
+    this.failurePolicy = this._getFailurePolicy();
+    this.overrideReason = this._getOverrideReason();
+    this.usageFile = process.env.AI_GUARD_USAGE_FILE || CONFIG.FILES.USAGE;
+    this.rulesFile = process.env.AI_GUARD_RULES_FILE || this.config.rulesFile || CONFIG.FILES.RULES;
+    this.promptTemplateFile = process.env.AI_GUARD_PROMPT_TEMPLATE || this.config.promptTemplate || null;
+    this.promptTemplate = undefined;
+    this.auditLog = process.env.AI_GUARD_AUDIT_LOG || this.config.auditLog || null;
+    this.diffTarget = this._getDiffTarget();
+    this.outputFormat = (this._getArgValue('--format') || 'text').toLowerCase();
+    this.outputFile = this._getArgValue('--output') || null;
+    this.showPayload = this._getArgValue('--show-payload') !== null;
+    this.payloadFile = this._getArgValue('--show-payload') || null;
+    this.dryRun = process.argv.includes('--dry-run') || this.showPayload;
+    this.reviewedDiffs = {};
+    this.redactions = {};
   }
 
-  _getApiKey() {
-    return process.env.OPENAI_API_KEY ||
-        process.env.CLAUDE_API_KEY ||
-        process.env.ANTHROPIC_API_KEY ||
-        process.env.GEMINI_API_KEY ||
-        process.env.GOOGLE_API_KEY ||
-        process.env.COHERE_API_KEY ||
-        process.env.AI_API_KEY;
-  }
+  loadConfig(cwd = process.cwd()) {
+    const configPath = path.join(cwd, CONFIG.FILES.CONFIG);
+    const packagePath = path.join(cwd, CONFIG.FILES.PACKAGE_JSON);
 
-  _getProvider() {
-    const envProvider = process.env.AI_PROVIDER?.toLowerCase();
+    let source = null;
+    let rawConfig = null;
+    this.configDir = cwd;
+
+    try {
+      if (existsSync(configPath)) {
+        source = CONFIG.FILES.CONFIG;
+        rawConfig = JSON.parse(readFileSync(configPath, 'utf8'));
+      } else if (existsSync(packagePath)) {
+        const pkg = JSON.parse(readFileSync(packagePath, 'utf8'));
+        if (pkg && pkg[CONFIG.PACKAGE_CONFIG_KEY] !== undefined) {
+          source = `${CONFIG.FILES.PACKAGE_JSON} "${CONFIG.PACKAGE_CONFIG_KEY}"`;
+          rawConfig = pkg[CONFIG.PACKAGE_CONFIG_KEY];
+        }
+      }
+    } catch (error) {
+      return { config: {}, source: source || CONFIG.FILES.PACKAGE_JSON, errors: [`Could not parse JSON: ${error.message}`] };
+    }
 
-    if (envProvider && AI_PROVIDERS[envProvider.toUpperCase()]) {
-      return envProvider;
+    if (rawConfig === null) {
+      return { config: {}, source, errors: [] };
     }
 
-    if (process.env.OPENAI_API_KEY) return 'openai';
-    if (process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY) return 'claude';
-    if (process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY) return 'gemini';
-    if (process.env.COHERE_API_KEY) return 'cohere';
+    // Names from custom providers are only known once loadProviders() has required them, it checks "provider" then
+    const deferProvider = this._isPlainObject(rawConfig) && Array.isArray(rawConfig.customProviders) && rawConfig.customProviders.length > 0;
+    const errors = this.validateConfig(deferProvider
+        ? Object.fromEntries(Object.entries(rawConfig).filter(([name]) => name !== 'provider'))
+        : rawConfig);
+    return { config: errors.length === 0 ? rawConfig : {}, source, errors };
+  }
 
-    try {
-      const { execSync } = require('child_process');
-      execSync('curl -s http://localhost:11434/api/tags', { timeout: 1000 });
-      return 'ollama';
-    } catch {
+  // Plugins are arbitrary code, so they are only required when a review needs them, never for --help or the commit-msg hook
+  loadProviders() {
+    if (this.providersLoaded) {
+      return this.configErrors;
     }
+    this.providersLoaded = true;
 
-    return 'openai';
-  }
+    const specs = this.config.customProviders;
+    if (!Array.isArray(specs) || specs.length === 0) {
+      return this.configErrors;
+    }
 
-  _getTimeout() {
-    const timeout = parseInt(process.env.AI_GUARD_TIMEOUT) || CONFIG.TIMEOUT.DEFAULT;
-    return Math.max(CONFIG.TIMEOUT.MIN, Math.min(CONFIG.TIMEOUT.MAX, timeout));
+    const errors = this._loadCustomProviders(specs, this.configDir);
+    const providerError = this.config.provider !== undefined &&
+        this._validateConfigValue('provider', this.config.provider, CONFIG_SCHEMA.provider);
+    if (providerError) {
+      errors.push(providerError);
+    }
+    if (errors.length > 0) {
+      this.customProviders = {};
+      this.configErrors.push(...errors);
+      return this.configErrors;
+    }
+
+    this.providers = this._getProviders();
+    this.provider = this.providers[0];
+    this.model = this._getModel();
+    this.contextTokens = this._getContextTokens();
+    return this.configErrors;
   }
 
-  _getMaxFileSize() {
-    const size = parseInt(process.env.AI_GUARD_MAX_FILE_SIZE) || CONFIG.FILE_SIZE.DEFAULT_MAX;
-    return Math.max(CONFIG.FILE_SIZE.MIN, Math.min(CONFIG.FILE_SIZE.MAX, size));
+  _loadCustomProviders(specs, cwd) {
+    this.customProviders = {};
+    if (!Array.isArray(specs)) {
+      return [];
+    }
+
+    const errors = [];
+
+    for (const spec of specs) {
+      if (typeof spec !== 'string' || !spec.trim()) continue;
+
+      try {
+        const isPath = spec.startsWith('.') || path.isAbsolute(spec);
+        const modulePath = isPath ? path.resolve(cwd, spec) : require.resolve(spec, { paths: [cwd] });
+        const loaded = require(modulePath);
+        const providerConfig = loaded && loaded.default ? loaded.default : loaded;
+
+        const error = this._validateProviderInterface(providerConfig);
+        if (error) {
+          errors.push(`Custom provider "${spec}" ${error}`);
+          continue;
+        }
+
+        this.customProviders[providerConfig.name] = {
+          contextTokens: CONFIG.CONTEXT.DEFAULT_TOKENS,
+          apiKeyEnv: [],
+          ...providerConfig
+        };
+      } catch (error) {
+        errors.push(`Could not load custom provider "${spec}": ${error.message}`);
+      }
+    }
+
+    return errors;
   }
 
-  _getModel() {
-    const provider = this.provider.toUpperCase();
-    return process.env.AI_MODEL ||
-        process.env[`${provider}_MODEL`] ||
-        AI_PROVIDERS[provider].model;
+  _validateProviderInterface(providerConfig) {
+    if (!this._isPlainObject(providerConfig)) {
+      return 'must export an object';
+    }
+
+    const { name } = providerConfig;
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      return `must have a lowercase "name" (got ${JSON.stringify(name)})`;
+    }
+    if (this._getProviderNames().includes(name)) {
+      return `uses the name "${name}", which is already taken`;
+    }
+    if (typeof providerConfig.model !== 'string' || !providerConfig.model) {
+      return 'must have a default "model"';
+    }
+
+    // Providers with their own call() do not go through the HTTP pipeline
+    if (typeof providerConfig.call !== 'function') {
+      const missing = ['headers', 'payload', 'extractResponse'].filter(key => typeof providerConfig[key] !== 'function');
+      if (missing.length > 0) {
+        return `must implement ${missing.join(', ')} (or call)`;
+      }
+      if (typeof providerConfig.apiUrl !== 'string' && typeof providerConfig.buildUrl !== 'function') {
+        return 'must have an "apiUrl" or a "buildUrl" function';
+      }
+    }
+    if (providerConfig.mapError !== undefined && typeof providerConfig.mapError !== 'function') {
+      return '"mapError" must be a function';
+    }
+    if (providerConfig.apiKeyEnv !== undefined &&
+        (!Array.isArray(providerConfig.apiKeyEnv) || providerConfig.apiKeyEnv.some(item => typeof item !== 'string'))) {
+      return '"apiKeyEnv" must be an array of environment variable names';
+    }
+
+    return null;
   }
 
-  _logInfo(message) {
-    console.log(chalk.blue('ℹ️ ') + chalk.white(message));
+  validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return ['Configuration must be a JSON object'];
+    }
+
+    return this._validateConfigObject(config, CONFIG_SCHEMA);
   }
 
-  _logSuccess(message) {
-    console.log(chalk.green('✅ ') + chalk.white(message));
+  _validateConfigObject(config, schema, prefix = '') {
+    const errors = [];
+
+    for (const [name, value] of Object.entries(config)) {
+      const key = `${prefix}${name}`;
+      const rule = schema[name];
+      if (!rule) {
+        errors.push(`Unknown option "${key}" (allowed: ${Object.keys(schema).join(', ')})`);
+        continue;
+      }
+
+      if (rule.type === 'object') {
+        if (!this._isPlainObject(value)) {
+          errors.push(`"${key}" must be an object (got ${JSON.stringify(value)})`);
+        } else {
+          errors.push(...this._validateConfigObject(value, rule.properties, `${key}.`));
+        }
+        continue;
+      }
+
+      const error = this._validateConfigValue(key, value, rule);
+      if (error) {
+        errors.push(error);
+      }
+    }
+
+    return errors;
   }
 
-  _logWarning(message) {
-    console.log(chalk.yellow('⚠️  ') + chalk.white(message));
+  _validateRedactionRule(rule) {
+    if (!this._isPlainObject(rule)) {
+      return 'must be an object';
+    }
+    if (typeof rule.label !== 'string' || !/^[A-Za-z0-9_-]+$/.test(rule.label)) {
+      return 'needs a "label" made of letters, digits, "_" or "-"';
+    }
+    if (rule.scope !== undefined && this._validateConfigValue('scope', rule.scope, { type: 'string|string[]' })) {
+      return '"scope" must be a file pattern or an array of file patterns';
+    }
+    if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !/^[imsu]*$/.test(rule.flags))) {
+      return '"flags" may only contain i, m, s and u';
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      return 'needs a "pattern" regular expression';
+    }
+    try {
+      new RegExp(rule.pattern, rule.flags);
+    } catch (error) {
+      return `has an invalid "pattern": ${error.message}`;
+    }
+    return null;
   }
 
-  _logError(message) {
-    console.log(chalk.red('❌ ') + chalk.white(message));
+  _isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
   }
 
-  _logAI(message) {
-    console.log(chalk.magenta('🤖 ') + chalk.cyan(message));
-  }
-
-  _formatAIResponse(response) {
-    const lines = response.split('\n');
-    return lines.map(line => {
-      const trimmedLine = line.trim();
-      if (!trimmedLine) return '';
-
-      if (trimmedLine.startsWith('•') || trimmedLine.startsWith('-') || trimmedLine.match(/^\d+\./)) {
-        return chalk.yellow('  ' + trimmedLine);
-      } else if (trimmedLine.includes('Fix:') || trimmedLine.includes('Solution:') || trimmedLine.includes('Improvement:')) {
-        return chalk.green('  ' + trimmedLine);
-      } else if (trimmedLine.includes('Issue:') || trimmedLine.includes('Problem:') || trimmedLine.includes('Error:')) {
-        return chalk.red('  ' + trimmedLine);
-      } else if (trimmedLine.includes('Great job') || trimmedLine.includes('excellent') || trimmedLine.includes('good')) {
-        return chalk.green('  ' + trimmedLine);
-      } else {
-        return chalk.white('  ' + trimmedLine);
+  _validateConfigValue(key, value, rule) {
+    const got = JSON.stringify(value);
+
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string' || !value.trim()) {
+          return `"${key}" must be a non-empty string (got ${got})`;
+        }
+        if (rule.values && !rule.values(this).includes(value)) {
+          return `"${key}" must be one of: ${rule.values(this).join(', ')} (got ${got})`;
+        }
+        return null;
+      case 'integer':
+        if (!Number.isInteger(value)) {
+          return `"${key}" must be an integer (got ${got})`;
+        }
+        if (value < rule.min || value > rule.max) {
+          return `"${key}" must be between ${rule.min} and ${rule.max} (got ${got})`;
+        }
+        return null;
+      case 'number':
+        if (typeof value !== 'number' || !isFinite(value) || value < rule.min) {
+          return `"${key}" must be a number of at least ${rule.min} (got ${got})`;
+        }
+        return null;
+      case 'price-map':
+        if (!this._isPlainObject(value) || Object.values(value).some(price => !this._isPlainObject(price) ||
+            typeof price.input !== 'number' || typeof price.output !== 'number')) {
+          return `"${key}" must map model names to { "input": number, "output": number } prices per million tokens (got ${got})`;
+        }
+        return null;
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          return `"${key}" must be true or false (got ${got})`;
+        }
+        return null;
+      case 'url':
+        if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) {
+          return `"${key}" must be an http(s) URL (got ${got})`;
+        }
+        return null;
+      case 'object-map':
+        if (!this._isPlainObject(value) || Object.values(value).some(item => !this._isPlainObject(item))) {
+          return `"${key}" must map provider names to option objects (got ${got})`;
+        }
+        return null;
+      case 'string-map':
+        if (!this._isPlainObject(value) || Object.values(value).some(item => typeof item !== 'string')) {
+          return `"${key}" must be an object with string values (got ${got})`;
+        }
+        return null;
+      case 'string[]':
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+          return `"${key}" must be an array of non-empty strings (got ${got})`;
+        }
+        return null;
+      case 'failure-policy': {
+        const { TYPES, POLICIES } = CONFIG.FAILURE_POLICY;
+        const entries = typeof value === 'string' ? [['*', value]] : this._isPlainObject(value) ? Object.entries(value) : [];
+        if (entries.length === 0 || entries.some(([type, policy]) => (type !== '*' && !TYPES.includes(type)) || !POLICIES.includes(policy))) {
+          return `"${key}" must be one of ${POLICIES.join(', ')}, or an object mapping ${TYPES.join(', ')} to one of them (got ${got})`;
+        }
+        return null;
       }
-    }).join('\n');
+      case 'redaction-rules': {
+        if (!Array.isArray(value)) {
+          return `"${key}" must be an array of { "pattern", "label", "scope" } rules (got ${got})`;
+        }
+        for (const [index, item] of value.entries()) {
+          const error = this._validateRedactionRule(item);
+          if (error) {
+            return `"${key}[${index}]" ${error} (got ${JSON.stringify(item)})`;
+          }
+        }
+        return null;
+      }
+      case 'string|string[]': {
+        const items = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+        if (!Array.isArray(items) || items.length === 0 || items.some(item => typeof item !== 'string' || !item.trim())) {
+          return `"${key}" must be a string or an array of non-empty strings (got ${got})`;
+        }
+        const invalid = rule.values ? items.filter(item => !rule.values(this).includes(item)) : [];
+        if (invalid.length > 0) {
+          return `"${key}" must only contain: ${rule.values(this).join(', ')} (got ${JSON.stringify(invalid.join(', '))})`;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
   }
 
-  loadIgnorePatterns() {
-    const patterns = [...DEFAULT_IGNORE_PATTERNS];
-
-    if (existsSync(CONFIG.FILES.IGNORE)) {
+  _getApiKey(provider = this.provider) {
+    if (!this.apiKeys[provider]) {
       try {
-        const customPatterns = readFileSync(CONFIG.FILES.IGNORE, 'utf8')
-            .split('\n')
-            .map(line => line.trim())
-            .filter(line => line && !line.startsWith('#'));
-        patterns.push(...customPatterns);
+        this.apiKeys[provider] = { key: this._resolveApiKey(provider) };
       } catch (error) {
-        this._logWarning(`Could not read ${CONFIG.FILES.IGNORE}: ${error.message}`);
+        this.apiKeys[provider] = { key: null, error: error.message };
       }
     }
-
-    return patterns;
+    return this.apiKeys[provider].key;
   }
 
-  shouldIgnoreFile(filePath, patterns) {
-    const fileName = path.basename(filePath);
-    const lowerPath = filePath.toLowerCase();
-    const lowerName = fileName.toLowerCase();
+  _resolveApiKey(provider) {
+    const providerConfig = this._getProviderConfig(provider);
+    const envName = providerConfig.apiKeyEnv.find(name => process.env[name]);
+    if (envName) {
+      return process.env[envName];
+    }
 
-    if (SENSITIVE_KEYWORDS.some(keyword =>
-        lowerPath.includes(keyword) || lowerName.includes(keyword))) {
-      return true;
+    // Keyless providers must never receive a key that was meant for a hosted vendor
+    if (providerConfig.requiresApiKey === false) {
+      return null;
     }
 
-    return patterns.some(pattern => {
-      if (pattern.includes('*')) {
-        const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-        return regex.test(filePath) || regex.test(fileName);
-      }
-      return filePath.includes(pattern) || fileName.includes(pattern);
-    });
+    if (process.env.AI_GUARD_KEY_COMMAND) {
+      return this._readKeyCommand(provider);
+    }
+
+    if (process.env.AI_GUARD_KEY_FILE) {
+      return this._readKeyFile(provider);
+    }
+
+    return process.env.AI_API_KEY || null;
   }
 
-  getStagedFiles() {
+  _readKeyCommand(provider) {
+    const command = process.env.AI_GUARD_KEY_COMMAND.replace(/\{provider\}/g, provider);
+
     try {
-      const output = execSync('git diff --cached --name-only', { encoding: 'utf8' });
-      const allFiles = output.trim().split('\n').filter(file => {
-        if (!file) return false;
+      const key = execSync(command, {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: CONFIG.KEY_COMMAND_TIMEOUT,
+        env: { ...process.env, AI_GUARD_PROVIDER: provider }
+      }).trim();
+
+      if (!key) {
+        throw new Error(this._t('key.commandEmpty'));
+      }
+      return key;
+    } catch (error) {
+      const detail = error.stderr?.toString().trim() || error.message;
+      throw new Error(this._t('key.commandFailed', { provider: provider.toUpperCase(), detail }));
+    }
+  }
 
-        const ext = path.extname(file).toLowerCase();
-        if (CONFIG.BINARY_EXTENSIONS.includes(ext)) {
-          return false;
-        }
+  _readKeyFile(provider) {
+    const filePath = process.env.AI_GUARD_KEY_FILE
+        .replace(/\{provider\}/g, provider)
+        .replace(/^~(?=$|\/)/, os.homedir());
 
-        return true;
-      });
+    if (!existsSync(filePath)) {
+      throw new Error(this._t('key.fileMissing', { provider: provider.toUpperCase(), file: filePath }));
+    }
 
-      const ignorePatterns = this.loadIgnorePatterns();
-      const filteredFiles = allFiles.filter(file => !this.shouldIgnoreFile(file, ignorePatterns));
+    const key = readFileSync(filePath, 'utf8').trim();
+    if (!key) {
+      throw new Error(this._t('key.fileEmpty', { provider: provider.toUpperCase(), file: filePath }));
+    }
+    return key;
+  }
 
-      const nonBinaryFiles = filteredFiles.filter(file => {
-        try {
-          const result = execSync(`git diff --cached --numstat "${file}"`, { encoding: 'utf8' });
-          return !result.startsWith('-\t-\t');
-        } catch {
-          return true;
-        }
-      });
+  _hasCredentials(provider) {
+    return this._getProviderConfig(provider).requiresApiKey === false || !!this._getApiKey(provider);
+  }
 
-      const ignoredCount = allFiles.length - nonBinaryFiles.length;
-      if (ignoredCount > 0) {
-        this._logInfo(`🔒 Ignored ${ignoredCount} binary/sensitive/excluded files`);
+  _describeMissingKey(provider) {
+    const resolved = this.apiKeys[provider];
+    if (resolved?.error) {
+      return resolved.error;
+    }
+
+    const envNames = [...this._getProviderConfig(provider).apiKeyEnv, 'AI_API_KEY'];
+    return this._t('key.missing', { provider: provider.toUpperCase(), envNames: envNames.join(this._t('key.or')) });
+  }
+
+  _getProviderConfig(provider) {
+    const builtIn = Object.values(AI_PROVIDERS).find(providerConfig => providerConfig.name === provider);
+    if (builtIn) {
+      return builtIn;
+    }
+
+    return Object.prototype.hasOwnProperty.call(this.customProviders, provider) ? this.customProviders[provider] : null;
+  }
+
+  _getProviderNames() {
+    return [
+      ...Object.values(AI_PROVIDERS).map(providerConfig => providerConfig.name),
+      ...Object.keys(this.customProviders)
+    ];
+  }
+
+  _getProviderEnvPrefix(provider) {
+    return provider.toUpperCase().replace(/-/g, '_');
+  }
+
+  _getCompatibleSettings() {
+    const settings = this.config.openaiCompatible || {};
+    const baseUrl = process.env.OPENAI_COMPATIBLE_BASE_URL || settings.baseUrl;
+    let headers = settings.headers || {};
+
+    if (process.env.OPENAI_COMPATIBLE_HEADERS) {
+      try {
+        headers = JSON.parse(process.env.OPENAI_COMPATIBLE_HEADERS);
+      } catch {
+        headers = null;
       }
+      if (!this._isPlainObject(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+        throw new Error(this._t('config.invalidHeaders'));
+      }
+    }
 
-      return nonBinaryFiles;
-    } catch (error) {
-      this._logWarning('Could not get staged files');
-      return [];
+    return { baseUrl, headers };
+  }
+
+  _getAzureSettings(model) {
+    const settings = this.config.azure || {};
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT || settings.endpoint;
+
+    if (!endpoint) {
+      throw new Error(this._t('config.azureEndpoint', { file: CONFIG.FILES.CONFIG }));
+    }
+
+    return {
+      endpoint,
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT || settings.deployment || model,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || settings.apiVersion || AI_PROVIDERS.AZURE.apiVersion
+    };
+  }
+
+  _getProviders() {
+    const parseList = (value) => {
+      if (!value) return [];
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      return items
+          .map(item => item.trim().toLowerCase())
+          .filter((item, index, all) => item && this._getProviderConfig(item) && all.indexOf(item) === index);
+    };
+
+    const envProviders = parseList(process.env.AI_PROVIDER);
+    if (envProviders.length > 0) {
+      return envProviders;
+    }
+
+    const configProviders = parseList(this.config.provider);
+    if (configProviders.length > 0) {
+      return configProviders;
     }
+
+    return [this._getProvider()];
   }
 
-  getChanges(files) {
-    return files.map(file => {
-      try {
-        const diff = execSync(`git diff --cached "${file}"`, { encoding: 'utf8' });
+  _getProvider() {
+    if (process.env.OPENAI_API_KEY) return 'openai';
+    if (process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY) return 'claude';
+    if (process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY) return 'gemini';
+    if (process.env.COHERE_API_KEY) return 'cohere';
+    if (process.env.AZURE_OPENAI_API_KEY) return 'azure';
+    if (process.env.OPENAI_COMPATIBLE_BASE_URL) return 'openai-compatible';
+
+    try {
+      const { execSync } = require('child_process');
+      execSync('curl -s http://localhost:11434/api/tags', { timeout: 1000 });
+      return 'ollama';
+    } catch {
+    }
+
+    return 'openai';
+  }
+
+  _getTimeout() {
+    const timeout = parseInt(process.env.AI_GUARD_TIMEOUT) || this.config.timeout || CONFIG.TIMEOUT.DEFAULT;
+    return Math.max(CONFIG.TIMEOUT.MIN, Math.min(CONFIG.TIMEOUT.MAX, timeout));
+  }
+
+  _getTotalTimeout() {
+    const timeout = parseInt(process.env.AI_GUARD_TOTAL_TIMEOUT) || this.config.totalTimeout;
+    return timeout ? Math.max(CONFIG.TIMEOUT.MIN, Math.min(CONFIG.TIMEOUT.TOTAL_MAX, timeout)) : null;
+  }
+
+  // Every request gets the full AI_GUARD_TIMEOUT, so the run needs one per round of chunks and one per fallback provider
+  getReviewBudget(chunkCount) {
+    if (this.totalTimeout) {
+      return this.totalTimeout;
+    }
+
+    const rounds = Math.ceil(chunkCount / this.concurrency);
+    const fallbacks = this.consensus ? 0 : this.providers.length - 1;
+    return this.timeout * (rounds + fallbacks);
+  }
+
+  _getMaxFileSize() {
+    const size = parseInt(process.env.AI_GUARD_MAX_FILE_SIZE) || this.config.maxFileSize || CONFIG.FILE_SIZE.DEFAULT_MAX;
+    return Math.max(CONFIG.FILE_SIZE.MIN, Math.min(CONFIG.FILE_SIZE.MAX, size));
+  }
+
+  _getModel(provider = this.provider) {
+    if (this.budgetModels && this.budgetModels[provider]) {
+      return this.budgetModels[provider];
+    }
+
+    const key = this._getProviderEnvPrefix(provider);
+    const isPrimary = provider === this.providers[0];
+    const configPrimary = [].concat(this.config.provider || [])
+        .join(',').split(',')[0].trim().toLowerCase();
+    const configModel = isPrimary && (!configPrimary || configPrimary === provider)
+        ? this.config.model
+        : null;
+
+    return (isPrimary && process.env.AI_MODEL) ||
+        process.env[`${key}_MODEL`] ||
+        configModel ||
+        this._getProviderConfig(provider).model;
+  }
+
+  _getFailOn() {
+    const level = process.env.AI_GUARD_FAIL_ON?.trim().toLowerCase();
+    if (CONFIG.SEVERITY_LEVELS.includes(level)) {
+      return level;
+    }
+    return this.config.failOn || null;
+  }
+
+  _getConsensus() {
+    const policy = process.env.AI_GUARD_CONSENSUS?.trim().toLowerCase();
+    if (CONFIG.CONSENSUS.POLICIES.includes(policy)) {
+      return policy;
+    }
+    if (policy === 'off' || policy === 'none') {
+      return null;
+    }
+    return this.config.consensus || null;
+  }
+
+  _getConsensusPanel() {
+    return this.providers
+        .filter(provider => this._isUsable(provider))
+        .slice(0, CONFIG.CONSENSUS.MAX_PROVIDERS);
+  }
+
+  // A dry run without any key previews the requests as if every key were set
+  _isUsable(provider) {
+    if (this._hasCredentials(provider)) {
+      return true;
+    }
+    return this.dryRun && !this.providers.some(item => this._hasCredentials(item));
+  }
+
+  _getCacheTtl() {
+    const ttl = parseInt(process.env.AI_GUARD_CACHE_DURATION);
+    if (!isNaN(ttl)) {
+      return Math.max(CONFIG.CACHE_DURATION.MIN, Math.min(CONFIG.CACHE_DURATION.MAX, ttl));
+    }
+    return this.config.cacheTtl ?? CONFIG.CACHE_DURATION.DEFAULT;
+  }
+
+  _getContextTokens(providers = this.providers) {
+    const tokens = parseInt(process.env.AI_GUARD_CONTEXT_TOKENS);
+    if (!isNaN(tokens)) {
+      return Math.max(CONFIG.CONTEXT.MIN_TOKENS, Math.min(CONFIG.CONTEXT.MAX_TOKENS, tokens));
+    }
+
+    if (this.config.contextTokens) {
+      return this.config.contextTokens;
+    }
+
+    // A chunk can end up at any provider of the fallback chain, so it has to fit the smallest window
+    return Math.min(...providers.map(provider =>
+        CONFIG.CONTEXT.MODEL_WINDOWS[this._getModel(provider)] || this._getProviderConfig(provider).contextTokens));
+  }
+
+  _getConcurrency() {
+    const concurrency = parseInt(process.env.AI_GUARD_CONCURRENCY) || this.config.concurrency || CONFIG.CONCURRENCY.DEFAULT;
+    return Math.max(CONFIG.CONCURRENCY.MIN, Math.min(CONFIG.CONCURRENCY.MAX, concurrency));
+  }
+
+  _getRetries() {
+    const retries = parseInt(process.env.AI_GUARD_RETRY_COUNT);
+    if (!isNaN(retries)) {
+      return Math.max(CONFIG.RETRY.MIN, Math.min(CONFIG.RETRY.MAX, retries));
+    }
+    return this.config.retries ?? CONFIG.RETRY.DEFAULT_COUNT;
+  }
+
+  _getDailyBudget() {
+    const budget = parseFloat(process.env.AI_GUARD_DAILY_BUDGET);
+    if (!isNaN(budget) && budget >= 0) {
+      return budget;
+    }
+    return this.config.dailyBudget ?? null;
+  }
+
+  _getBudgetAction() {
+    const action = process.env.AI_GUARD_BUDGET_ACTION?.trim().toLowerCase();
+    if (CONFIG.BUDGET.ACTIONS.includes(action)) {
+      return action;
+    }
+    return this.config.budgetAction || CONFIG.BUDGET.DEFAULT_ACTION;
+  }
+
+  _getFailurePolicy() {
+    const { TYPES, DEFAULT } = CONFIG.FAILURE_POLICY;
+    const configured = this.config.failurePolicy;
+    const policy = {};
+    TYPES.forEach(type => {
+      policy[type] = (typeof configured === 'string' ? configured : configured?.[type]) || DEFAULT;
+    });
+
+    this._parseFailurePolicyEnv().filter(entry => entry.valid).forEach(entry => {
+      (entry.type ? [entry.type] : TYPES).forEach(type => { policy[type] = entry.policy; });
+    });
+    return policy;
+  }
+
+  // Collapsed to one line so the reason fits in a commit trailer
+  _getOverrideReason() {
+    const reason = process.env.AI_GUARD_SKIP;
+    if (reason === undefined) {
+      return null;
+    }
+    return reason.replace(/\s+/g, ' ').trim().substring(0, CONFIG.OVERRIDE.MAX_REASON_LENGTH);
+  }
+
+  // AI_GUARD_FAILURE_POLICY="block" applies to every failure, "timeout=prompt,error=block" to single ones
+  _parseFailurePolicyEnv() {
+    const { TYPES, POLICIES } = CONFIG.FAILURE_POLICY;
+    return (process.env.AI_GUARD_FAILURE_POLICY || '').split(',').map(item => item.trim()).filter(Boolean).map(item => {
+      const [name, value] = item.includes('=') ? item.split('=') : [null, item];
+      const type = name && TYPES.find(candidate => candidate.toLowerCase() === name.trim().toLowerCase().replace(/-/g, ''));
+      const policy = value.trim().toLowerCase();
+      return { item, type, policy, valid: (!name || !!type) && POLICIES.includes(policy) };
+    });
+  }
+
+  _getStream() {
+    const value = process.env.AI_GUARD_STREAM?.trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(value)) return true;
+    if (['0', 'false', 'no', 'off'].includes(value)) return false;
+    return this.config.stream ?? false;
+  }
+
+  _getSecretScan() {
+    const value = process.env.AI_GUARD_SECRET_SCAN?.trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(value)) return true;
+    if (['0', 'false', 'no', 'off'].includes(value)) return false;
+    return this.config.secretScan?.enabled ?? true;
+  }
+
+  _getPiiDetectors() {
+    const value = process.env.AI_GUARD_PII ?? this.config.redaction?.pii ?? [];
+    const names = [].concat(value).join(',').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (names.some(name => ['0', 'false', 'no', 'off', 'none'].includes(name))) {
+      return [];
+    }
+    if (names.includes('all')) {
+      return Object.keys(CONFIG.REDACTION.PII);
+    }
+    return names.filter(name => CONFIG.REDACTION.PII[name]);
+  }
+
+  _getRedactionRules() {
+    const rules = [...REDACTION_RULES];
+    const { keywords = [], rules: customRules = [] } = this.config.redaction || {};
+
+    if (keywords.length > 0) {
+      const words = keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+      rules.push({
+        type: 'SECRET',
+        label: 'SECRET_HIDDEN',
+        pattern: new RegExp(`\\w*(?:${words})\\w*\\s*[:=]\\s*(['"\`])(?!\\[)(?<value>[^'"\`]+)\\1`, 'gi')
+      });
+    }
+
+    customRules.forEach(rule => rules.push({
+      type: rule.label.toUpperCase(),
+      label: rule.label,
+      pattern: new RegExp(rule.pattern, (rule.flags || '') + 'g'),
+      scope: rule.scope ? [].concat(rule.scope) : null
+    }));
+
+    this.piiDetectors.forEach(name => {
+      const detector = CONFIG.REDACTION.PII[name];
+      rules.push(name === 'hostname' ? { ...detector, pattern: this._getHostnamePattern() } : detector);
+    });
+
+    return rules;
+  }
+
+  // Hosts under a configured domain, or with a suffix that never resolves publicly (db1.internal, build.corp)
+  _getHostnamePattern() {
+    const escape = (domain) => domain.toLowerCase().replace(/^\.+/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const domains = (this.config.redaction?.internalDomains || []).map(escape);
+    const suffixes = CONFIG.REDACTION.INTERNAL_SUFFIXES.map(escape);
+    const alternatives = [`(?:[a-z0-9-]+\\.)+(?:${suffixes.join('|')})`];
+    if (domains.length > 0) {
+      alternatives.unshift(`(?:[a-z0-9-]+\\.)*(?:${domains.join('|')})`);
+    }
+    return new RegExp(`(?<![\\w.@-])(?:${alternatives.join('|')})(?![\\w-]|\\.[\\w-])`, 'gi');
+  }
+
+  _getArgValue(flag) {
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === flag) {
+        return args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
+      }
+      if (args[i].startsWith(`${flag}=`)) {
+        return args[i].substring(flag.length + 1);
+      }
+    }
+    return null;
+  }
+
+  _getDiffTarget() {
+    const range = this._getArgValue('--range');
+    if (range !== null) {
+      const separator = range.includes('...') ? '...' : '..';
+      const refs = range.split(separator);
+      return { mode: 'range', label: range, refs, args: refs.join(separator) };
+    }
+
+    const commit = this._getArgValue('--commit');
+    if (commit !== null) {
+      return { mode: 'commit', label: commit, refs: [commit], args: `${commit}^!` };
+    }
+
+    return { mode: 'staged', label: 'staged changes', refs: [], args: '--cached' };
+  }
+
+  _validateDiffTarget() {
+    const { mode, refs, label } = this.diffTarget;
+    if (mode === 'staged') {
+      return null;
+    }
+
+    if (mode === 'range' && (refs.length !== 2 || refs.some(ref => !ref))) {
+      return this._t('target.invalidRange', { range: label });
+    }
+
+    for (const ref of refs) {
+      if (!/^[\w./~^@{}-]+$/.test(ref)) {
+        return this._t('target.invalidRef', { ref });
+      }
+
+      try {
+        execSync(`git rev-parse --verify --quiet "${ref}^{commit}"`, { stdio: 'ignore' });
+      } catch {
+        return this._t('target.unknownRef', { ref });
+      }
+    }
+
+    // A root commit has no parent for ^! to diff against, so git would report no changes; compare it with the empty tree
+    if (mode === 'commit' && !this._hasParent(refs[0])) {
+      this.diffTarget.args = `${CONFIG.GIT_EMPTY_TREE} ${refs[0]}`;
+    }
+
+    return null;
+  }
+
+  _hasParent(ref) {
+    try {
+      execSync(`git rev-parse --verify --quiet "${ref}^1"`, { stdio: 'ignore' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  _print(message) {
+    // Keep stdout clean when a machine-readable report is written there
+    if ((this.outputFormat !== 'text' && !this.outputFile) || (this.showPayload && !this.payloadFile)) {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+  }
+
+  _logInfo(message) {
+    this._print(chalk.blue('ℹ️ ') + chalk.white(message));
+  }
+
+  _logSuccess(message) {
+    this._print(chalk.green('✅ ') + chalk.white(message));
+  }
+
+  _logWarning(message) {
+    this._print(chalk.yellow('⚠️  ') + chalk.white(message));
+  }
+
+  _logError(message) {
+    this._print(chalk.red('❌ ') + chalk.white(message));
+  }
+
+  _logAI(message) {
+    this._print(chalk.magenta('🤖 ') + chalk.cyan(message));
+  }
+
+  _t(key, params) {
+    return translate(this.language, key, params);
+  }
+
+  _getLanguage() {
+    const language = (process.env.AI_GUARD_LANGUAGE || this.config.language || '').trim();
+    return language || DEFAULT_LANGUAGE;
+  }
+
+  _getLanguageName() {
+    const code = resolveLanguage(this.language);
+    // Languages without a message catalog are passed to the model as written, e.g. "French"
+    return code ? LANGUAGE_NAMES[code] : this.language;
+  }
+
+  _formatAIResponse(review) {
+    if (typeof review === 'string') {
+      review = this.parseAIResponse(review);
+    }
+
+    const severityColors = {
+      critical: chalk.red.bold,
+      high: chalk.red,
+      medium: chalk.yellow,
+      low: chalk.cyan,
+      info: chalk.gray
+    };
+
+    const output = [];
+
+    if (review.summary) {
+      review.summary.split('\n').forEach(line => {
+        const trimmedLine = line.trim();
+        output.push(trimmedLine ? chalk.white('  ' + trimmedLine) : '');
+      });
+    }
+
+    review.findings.forEach((finding, index) => {
+      const color = severityColors[finding.severity] || chalk.white;
+      const location = finding.file
+          ? (finding.line ? `${finding.file}:${finding.line}` : finding.file)
+          : null;
+
+      if (output.length > 0) output.push('');
+      output.push(color(`  ${index + 1}. [${finding.severity.toUpperCase()}] ${location ? location + ' - ' : ''}${finding.message}`));
+      if (finding.rule) {
+        output.push(chalk.gray(`     ${this._t('finding.rule', { rule: finding.rule })}`));
+      }
+      if (finding.fix) {
+        output.push(chalk.green(`     ${this._t('finding.fix', { fix: finding.fix })}`));
+      }
+      if (finding.agreedBy) {
+        output.push(chalk.gray(`     ${this._t('finding.agreedBy', { agreement: this._describeAgreement(finding, review) })}`));
+      }
+    });
+
+    return output.join('\n');
+  }
+
+  parseAIResponse(response) {
+    const text = String(response || '').trim();
+    const parsed = this._extractJSON(text);
+
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      const verdict = String(parsed.verdict || '').trim().toUpperCase();
+      if (CONFIG.VERDICTS.includes(verdict)) {
+        const findings = Array.isArray(parsed.findings)
+            ? parsed.findings.map(finding => this._normalizeFinding(finding)).filter(Boolean)
+            : [];
+
+        return {
+          verdict,
+          summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : '',
+          findings,
+          structured: true
+        };
+      }
+    }
+
+    // Truncated or malformed JSON still usually carries a readable verdict field
+    const verdictField = text.match(/"verdict"\s*:\s*"(approve|reject)"/i);
+    if (verdictField) {
+      return {
+        verdict: verdictField[1].toUpperCase(),
+        summary: '',
+        findings: [],
+        structured: false
+      };
+    }
+
+    const unwrapped = text.replace(/^[\s*#>`_"']+/, '');
+    const keyword = unwrapped.match(/^(reject|approve)\b[\s:.\-*]*/i);
+
+    return {
+      verdict: keyword && keyword[1].toLowerCase() === 'reject' ? 'REJECT' : 'APPROVE',
+      summary: keyword ? unwrapped.slice(keyword[0].length).trim() : text,
+      findings: [],
+      structured: false
+    };
+  }
+
+  evaluateReview(review) {
+    if (!this.failOn) {
+      const rejected = review.verdict === 'REJECT';
+      return {
+        status: rejected ? 'REJECT' : this._hasWarnings(review.findings) ? 'WARNING' : 'SUCCESS',
+        blocking: rejected ? review.findings : [],
+        warnings: rejected ? [] : review.findings
+      };
+    }
+
+    const threshold = CONFIG.SEVERITY_LEVELS.indexOf(this.failOn);
+    const blocking = review.findings.filter(finding => finding.agreed !== false &&
+        CONFIG.SEVERITY_LEVELS.indexOf(finding.severity) <= threshold);
+    const warnings = review.findings.filter(finding => !blocking.includes(finding));
+
+    // Without structured findings there is nothing to gate on, so trust the verdict
+    const unstructuredReject = (review.parts || [review])
+        .some(part => !part.structured && part.verdict === 'REJECT');
+
+    let status = 'SUCCESS';
+    if (blocking.length > 0 || unstructuredReject) {
+      status = 'REJECT';
+    } else if (this._hasWarnings(warnings)) {
+      status = 'WARNING';
+    }
+
+    return { status, blocking, warnings };
+  }
+
+  _hasWarnings(findings) {
+    return findings.some(finding => finding.severity !== 'info');
+  }
+
+  mergeReviews(reviews) {
+    if (reviews.length === 1) {
+      return reviews[0];
+    }
+
+    const reviewers = [];
+    reviews.flatMap(review => review.reviewers || []).forEach(reviewer => {
+      if (!reviewers.some(known => known.provider === reviewer.provider && known.model === reviewer.model)) {
+        reviewers.push(reviewer);
+      }
+    });
+
+    return {
+      verdict: reviews.some(review => review.verdict === 'REJECT') ? 'REJECT' : 'APPROVE',
+      summary: reviews.map(review => review.summary).filter(Boolean).join('\n'),
+      findings: reviews.flatMap(review => review.findings),
+      structured: reviews.every(review => review.structured),
+      reviewers,
+      parts: reviews
+    };
+  }
+
+  combineVerdicts(reviews, policy) {
+    const label = (review) => review.reviewers[0].provider.toUpperCase();
+    const rejects = reviews.filter(review => review.verdict === 'REJECT').length;
+    const meetsPolicy = (votes) => {
+      if (policy === 'any-reject') return votes > 0;
+      if (policy === 'all-reject') return votes === reviews.length;
+      return votes * 2 > reviews.length;
+    };
+
+    const findings = [];
+    reviews.forEach(review => {
+      review.findings.forEach(finding => {
+        const reviewer = review.reviewers[0];
+        const match = findings.find(known => this._isSameFinding(known, finding));
+        if (!match) {
+          findings.push({ ...finding, agreedBy: [reviewer] });
+          return;
+        }
+        if (!match.agreedBy.some(known => known.provider === reviewer.provider)) {
+          match.agreedBy.push(reviewer);
+        }
+        if (CONFIG.SEVERITY_LEVELS.indexOf(finding.severity) < CONFIG.SEVERITY_LEVELS.indexOf(match.severity)) {
+          match.severity = finding.severity;
+        }
+        match.fix = match.fix || finding.fix;
+        match.rule = match.rule || finding.rule;
+      });
+    });
+    findings.forEach(finding => finding.agreed = meetsPolicy(finding.agreedBy.length));
+
+    const verdict = meetsPolicy(rejects) ? 'REJECT' : 'APPROVE';
+    const votes = reviews.map(review =>
+      this._t(review.verdict === 'REJECT' ? 'consensus.rejected' : 'consensus.approved', { provider: label(review) }));
+
+    return {
+      verdict,
+      summary: [
+        this._t('consensus.summary', { policy, verdict, votes: votes.join(', ') }),
+        ...reviews.filter(review => review.summary).map(review => `${label(review)}: ${review.summary}`)
+      ].join('\n'),
+      findings,
+      structured: reviews.every(review => review.structured),
+      reviewers: reviews.map(review => review.reviewers[0])
+    };
+  }
+
+  _isSameFinding(a, b) {
+    if (a.file !== b.file) {
+      return false;
+    }
+    if ((a.line === null) !== (b.line === null) ||
+        (a.line !== null && Math.abs(a.line - b.line) > CONFIG.CONSENSUS.LINE_TOLERANCE)) {
+      return false;
+    }
+    if (a.rule && b.rule) {
+      return a.rule.toLowerCase() === b.rule.toLowerCase();
+    }
+
+    // Different models word the same problem differently, so compare the vocabulary
+    const words = (text) => new Set(text.toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+    const wordsA = words(a.message);
+    const wordsB = words(b.message);
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const total = new Set([...wordsA, ...wordsB]).size;
+    return total > 0 && shared / total >= CONFIG.CONSENSUS.MESSAGE_SIMILARITY;
+  }
+
+  _extractJSON(text) {
+    const candidates = [text];
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+      candidates.push(fenced[1]);
+    }
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      candidates.push(text.slice(start, end + 1));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(candidate.trim());
+      } catch {
+      }
+    }
+
+    return null;
+  }
+
+  _normalizeFinding(finding) {
+    if (!finding || typeof finding !== 'object') {
+      return null;
+    }
+
+    const message = String(finding.message || finding.description || finding.issue || '').trim();
+    if (!message) {
+      return null;
+    }
+
+    const rawSeverity = String(finding.severity || '').trim().toLowerCase();
+    const severity = CONFIG.SEVERITY_LEVELS.includes(rawSeverity)
+        ? rawSeverity
+        : CONFIG.SEVERITY_ALIASES[rawSeverity] || CONFIG.DEFAULT_SEVERITY;
+
+    const line = parseInt(finding.line, 10);
+    const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    return {
+      file: optionalText(finding.file),
+      line: line > 0 ? line : null,
+      severity,
+      rule: optionalText(finding.rule),
+      message,
+      fix: optionalText(finding.fix || finding.suggestion)
+    };
+  }
+
+  loadIgnorePatterns() {
+    const patterns = [...DEFAULT_IGNORE_PATTERNS];
+
+    if (existsSync(CONFIG.FILES.IGNORE)) {
+      try {
+        const customPatterns = readFileSync(CONFIG.FILES.IGNORE, 'utf8')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+        patterns.push(...customPatterns);
+      } catch (error) {
+        this._logWarning(this._t('review.readFailed', { file: CONFIG.FILES.IGNORE, error: error.message }));
+      }
+    }
+
+    if (this.config.ignorePatterns) {
+      patterns.push(...this.config.ignorePatterns);
+    }
+
+    return patterns;
+  }
+
+  shouldIgnoreFile(filePath, patterns) {
+    const fileName = path.basename(filePath);
+    const lowerPath = filePath.toLowerCase();
+    const lowerName = fileName.toLowerCase();
+
+    if (SENSITIVE_KEYWORDS.some(keyword =>
+        lowerPath.includes(keyword) || lowerName.includes(keyword))) {
+      return true;
+    }
+
+    return this._matchesPatterns(filePath, patterns);
+  }
+
+  _matchesPatterns(filePath, patterns) {
+    const fileName = path.basename(filePath);
+    return patterns.some(pattern => {
+      if (pattern.includes('*')) {
+        const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
+        return regex.test(filePath) || regex.test(fileName);
+      }
+      return filePath.includes(pattern) || fileName.includes(pattern);
+    });
+  }
+
+  getStagedFiles() {
+    try {
+      const output = execSync(`git diff ${this.diffTarget.args} --name-only`, { encoding: 'utf8' });
+      const allFiles = output.trim().split('\n').filter(file => {
+        if (!file) return false;
+
+        const ext = path.extname(file).toLowerCase();
+        if (CONFIG.BINARY_EXTENSIONS.includes(ext)) {
+          return false;
+        }
+
+        return true;
+      });
+
+      const ignorePatterns = this.loadIgnorePatterns();
+      const filteredFiles = allFiles.filter(file => !this.shouldIgnoreFile(file, ignorePatterns));
+
+      const nonBinaryFiles = filteredFiles.filter(file => {
+        try {
+          const result = execSync(`git diff ${this.diffTarget.args} --numstat -- "${file}"`, { encoding: 'utf8' });
+          return !result.startsWith('-\t-\t');
+        } catch {
+          return true;
+        }
+      });
+
+      const ignoredCount = allFiles.length - nonBinaryFiles.length;
+      if (ignoredCount > 0) {
+        this._logInfo(this._t('review.ignoredFiles', { count: ignoredCount }));
+      }
+
+      return nonBinaryFiles;
+    } catch (error) {
+      this._logWarning(this._t('review.filesUnavailable', { target: this.diffTarget.label }));
+      return [];
+    }
+  }
+
+  getChanges(files) {
+    return this.getFileDiffs(files)
+        .map(({ file, diff }) => `--- ${file} ---\n${diff}`)
+        .join('\n\n');
+  }
+
+  getFileDiffs(files) {
+    return files.map(file => {
+      try {
+        const diff = execSync(`git diff ${this.diffTarget.args} -- "${file}"`, { encoding: 'utf8' });
+        this.reviewedDiffs[file] = diff;
+
+        if (diff.length > this.maxFileSize) {
+          this._logInfo(this._t('review.largeFile', { file, size: (diff.length/1024).toFixed(1) }));
+        }
+
+        return { file, diff: this.filterSensitiveContent(diff, file) };
+      } catch (error) {
+        this._logWarning(this._t('review.diffUnavailable', { file, error: error.message }));
+        return null;
+      }
+    }).filter(change => change && change.diff.trim());
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(text.length / CONFIG.CONTEXT.CHARS_PER_TOKEN);
+  }
+
+  getChunkBudget(rules) {
+    const promptTokens = this.estimateTokens(this.getPromptText(this.createPrompt('', rules)));
+    const available = this.contextTokens * (1 - CONFIG.CONTEXT.SAFETY_MARGIN) -
+        promptTokens - CONFIG.CONTEXT.RESPONSE_TOKENS;
+
+    // Huge rules files can eat the whole window, keep a usable minimum for the diff itself
+    return Math.max(available, CONFIG.CONTEXT.MIN_TOKENS / 2) * CONFIG.CONTEXT.CHARS_PER_TOKEN;
+  }
+
+  getChunkGroupSize(fileDiffs, budget) {
+    if (this.concurrency <= 1) {
+      return budget;
+    }
+
+    // Spread the files over roughly one group per concurrent request
+    const total = fileDiffs.reduce((sum, { file, diff }) => sum + file.length + diff.length, 0);
+    return Math.min(budget, Math.ceil(total / this.concurrency));
+  }
+
+  buildChunks(fileDiffs, budget, groupSize = budget) {
+    const pieceLimit = Math.min(this.maxFileSize, budget);
+    const segments = [];
+
+    fileDiffs.forEach(({ file, diff }) => {
+      const whole = `--- ${file} ---\n${diff}`;
+      if (whole.length <= pieceLimit) {
+        segments.push({ file, text: whole });
+        return;
+      }
+
+      const parts = this._splitDiff(diff, pieceLimit - file.length - 32);
+      parts.forEach((part, index) => {
+        segments.push({ file, text: `--- ${file} (part ${index + 1}/${parts.length}) ---\n${part}` });
+      });
+    });
+
+    const chunks = [];
+    let current = null;
+
+    segments.forEach(segment => {
+      const separatorLength = current ? 2 : 0;
+      if (!current || current.changes.length + separatorLength + segment.text.length > groupSize) {
+        current = { changes: segment.text, files: [segment.file] };
+        chunks.push(current);
+        return;
+      }
+
+      current.changes += `\n\n${segment.text}`;
+      if (!current.files.includes(segment.file)) {
+        current.files.push(segment.file);
+      }
+    });
+
+    return chunks;
+  }
+
+  _splitDiff(diff, limit) {
+    const firstHunk = diff.search(/^@@ /m);
+    const header = firstHunk > 0 ? diff.slice(0, firstHunk) : '';
+    const body = firstHunk >= 0 ? diff.slice(firstHunk) : diff;
+    const hunks = body.split(/(?=^@@ )/m).filter(hunk => hunk);
+    const room = Math.max(limit - header.length, 1);
+
+    // A single hunk can still be too big, cut it on line boundaries as a last resort
+    const pieces = [];
+    hunks.forEach(hunk => {
+      if (hunk.length <= room) {
+        pieces.push(hunk);
+        return;
+      }
+
+      let piece = '';
+      hunk.split(/(?<=\n)/).forEach(line => {
+        // Minified or generated lines can be longer than a whole chunk, so they continue in the next piece
+        for (let start = 0; start < line.length; start += room) {
+          const segment = line.slice(start, start + room);
+          if (piece && piece.length + segment.length > room) {
+            pieces.push(piece);
+            piece = '';
+          }
+          piece += segment;
+        }
+      });
+      if (piece) pieces.push(piece);
+    });
+
+    const parts = [];
+    let part = '';
+    pieces.forEach(piece => {
+      if (part && part.length + piece.length > room) {
+        parts.push(header + part);
+        part = '';
+      }
+      part += piece;
+    });
+    if (part) parts.push(header + part);
+
+    return parts;
+  }
+
+  filterSensitiveContent(content, file = null) {
+    return this.redactionRules
+        .filter(rule => !rule.scope || (file && this._matchesPatterns(file, rule.scope)))
+        .reduce((filtered, rule) => this._applyRedactionRule(filtered, rule), content);
+  }
+
+  _applyRedactionRule(content, rule) {
+    return content.replace(rule.pattern, (match, ...args) => {
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : {};
+      const value = groups.value ?? match;
+      if (!value || (rule.test && !rule.test(value, this.sensitiveKeywords))) {
+        return match;
+      }
+
+      this.redactions[rule.type] = (this.redactions[rule.type] || 0) + 1;
+      const start = match.lastIndexOf(value);
+      return match.slice(0, start) + `[${rule.label}]` + match.slice(start + value.length);
+    });
+  }
+
+  getRedactionSummary() {
+    return Object.entries(this.redactions)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([type, count]) => `${type}: ${count}`)
+        .join(', ');
+  }
+
+  scanForSecrets() {
+    if (!this.secretScan) {
+      return [];
+    }
+
+    let diff;
+    try {
+      diff = execSync(`git diff ${this.diffTarget.args} -U0 --no-color --no-ext-diff`, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    } catch (error) {
+      this._logWarning(this._t('secrets.scanFailed', { error: error.message }));
+      return [];
+    }
+
+    const allowlist = this.loadSecretAllowlist();
+    const secrets = [];
+    let file = null;
+    let fileDiff = '';
+    let line = 0;
+    let entropy = false;
+
+    const flush = () => {
+      if (file && secrets.some(secret => secret.file === file)) {
+        this.reviewedDiffs[file] = fileDiff;
+      }
+    };
+
+    for (const text of diff.split('\n')) {
+      if (text.startsWith('diff --git ')) {
+        flush();
+        file = null;
+        fileDiff = '';
+        continue;
+      }
+      fileDiff += text + '\n';
+
+      if (text.startsWith('+++ ')) {
+        file = text === '+++ /dev/null' ? null : text.slice(4).replace(/^"?b\//, '').replace(/"$/, '');
+        // Generated files and lockfiles are full of hashes, only credential shapes count there
+        entropy = !!file && !CONFIG.BINARY_EXTENSIONS.includes(path.extname(file).toLowerCase()) &&
+            !this.shouldIgnoreFile(file, CONFIG.EXCLUDE_PATTERNS);
+        continue;
+      }
+
+      const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)/);
+      if (hunk) {
+        line = parseInt(hunk[1], 10);
+        continue;
+      }
+
+      if (file && text.startsWith('+')) {
+        this.scanLineForSecrets(text.slice(1), { entropy })
+            .filter(secret => !allowlist.has(secret.fingerprint))
+            .forEach(secret => secrets.push({ file, line, ...secret }));
+        line++;
+      }
+    }
+    flush();
+
+    return secrets;
+  }
+
+  scanLineForSecrets(text, { entropy = true } = {}) {
+    const found = [];
+    const overlaps = (start, end) => found.some(secret => start < secret.end && end > secret.start);
+    const add = (type, name, value, start) => {
+      const end = start + value.length;
+      if (!overlaps(start, end)) {
+        found.push({ type, name, value, start, end });
+      }
+    };
+
+    CONFIG.SECRETS.PATTERNS.forEach(({ id, name, pattern }) => {
+      for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags.replace('g', '') + 'g'))) {
+        const value = match[1] || match[0];
+        add(id, name, value, match.index + match[0].lastIndexOf(value));
+      }
+    });
+
+    const { ID, NAME, MIN_LENGTH } = CONFIG.SECRETS.ENTROPY;
+    const threshold = this.config.secretScan?.entropyThreshold ?? CONFIG.SECRETS.ENTROPY.THRESHOLD;
+
+    // Random-looking values only count when assigned to a credential name, otherwise hashes and ids would block commits
+    if (entropy) {
+      this._getSecretAssignments(text).forEach(({ value, start }) => {
+        if (value.length >= MIN_LENGTH && /[A-Za-z]/.test(value) && /[0-9]/.test(value) &&
+            this.shannonEntropy(value) >= threshold) {
+          add(ID, NAME, value, start);
+        }
+      });
+    }
+
+    return found.map(({ type, name, value }) => ({
+      type,
+      name,
+      fingerprint: this.getSecretFingerprint(type, value),
+      preview: `${value.substring(0, 4)}…`,
+      length: value.length
+    }));
+  }
+
+  // Quoted literals in "name = value" / "name: value" pairs, or a bare value on an env-style line (DB_PASSWORD=...)
+  _getSecretAssignments(text) {
+    const assignments = [];
+    const pattern = /(["']?)([A-Za-z_$][\w$.-]*)\1\s*(?::=|=(?![=>])|:(?!:))\s*("[^"]*"|'[^']*'|`[^`]*`|[^\s"'`,;(){}[\]]+)/g;
+
+    for (const match of text.matchAll(pattern)) {
+      const [pair, , name, rawValue] = match;
+      const quoted = /^["'`]/.test(rawValue);
+      const bareLine = text.trim().replace(/^export\s+/, '') === pair.trim();
+
+      // Template literals and bare identifiers are code, not credentials
+      if (rawValue.startsWith('`') || rawValue.includes('${') || (!quoted && !bareLine)) {
+        continue;
+      }
+      if (!this._isSensitiveName(name)) {
+        continue;
+      }
+
+      const value = quoted ? rawValue.slice(1, -1) : rawValue;
+      assignments.push({ name, value, start: match.index + pair.lastIndexOf(value) });
+    }
+
+    return assignments;
+  }
+
+  _isSensitiveName(name) {
+    const words = name
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+
+    return words.some((word, index) => {
+      const keyword = this.sensitiveKeywords.find(candidate => word === candidate || word === `${candidate}s`);
+      if (!keyword) {
+        return false;
+      }
+      return keyword !== 'key' || words.length === 1 || CONFIG.SECRETS.ENTROPY.KEY_QUALIFIERS.includes(words[index - 1]);
+    });
+  }
+
+  shannonEntropy(text) {
+    const counts = {};
+    for (const char of text) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+
+    return Object.values(counts).reduce((entropy, count) => {
+      const probability = count / text.length;
+      return entropy - probability * Math.log2(probability);
+    }, 0);
+  }
+
+  getSecretFingerprint(type, value) {
+    // Hashing the value lets teams allowlist a known fixture without committing the secret itself
+    return `${type}:${crypto.createHash('sha256').update(value).digest('hex').substring(0, 16)}`;
+  }
+
+  loadSecretAllowlist() {
+    const fingerprints = new Set(this.config.secretScan?.allowlist || []);
+
+    if (existsSync(CONFIG.FILES.SECRETS_ALLOWLIST)) {
+      try {
+        readFileSync(CONFIG.FILES.SECRETS_ALLOWLIST, 'utf8')
+            .split('\n')
+            .map(line => line.replace(/#.*$/, '').trim())
+            .filter(Boolean)
+            .forEach(fingerprint => fingerprints.add(fingerprint));
+      } catch (error) {
+        this._logWarning(this._t('review.readFailed', { file: CONFIG.FILES.SECRETS_ALLOWLIST, error: error.message }));
+      }
+    }
+
+    return fingerprints;
+  }
+
+  reportSecrets(secrets) {
+    const findings = secrets.map(secret => ({
+      file: secret.file,
+      line: secret.line,
+      severity: 'critical',
+      rule: secret.type,
+      message: this._t('secrets.message', { name: secret.name, preview: secret.preview, length: secret.length, fingerprint: secret.fingerprint }),
+      fix: this._t('secrets.fix')
+    }));
+    const review = {
+      verdict: 'REJECT',
+      summary: this._t('secrets.summary', { count: secrets.length }),
+      findings,
+      structured: true,
+      reviewers: [],
+      unreviewedFiles: []
+    };
+    const evaluation = { status: 'REJECT', blocking: findings, warnings: [] };
+
+    this._logError(this._t('secrets.found', { count: secrets.length }));
+    this._print(this._formatAIResponse(review));
+    this._logInfo(this._t('secrets.allowlistHint', { file: CONFIG.FILES.SECRETS_ALLOWLIST }));
+    this.writeReport(review, evaluation);
+  }
+
+  loadRules() {
+    if (!existsSync(this.rulesFile)) {
+      return `
+# Universal Code Review Rules
+
+## Code Quality & Maintainability
+- Use meaningful and descriptive names for variables, functions, and classes
+- Keep functions focused and concise (prefer under 20-30 lines)
+- Avoid magic numbers and strings - use named constants or configuration
+- Remove unused variables, imports, and dead code
+- Add appropriate comments for complex logic and business rules
+
+## Best Practices
+- Follow consistent naming conventions for your language/framework
+- Handle errors appropriately - don't ignore or suppress them silently
+- Validate inputs and handle edge cases
+- Use proper logging instead of debug print statements
+- Follow the DRY principle - avoid code duplication
+
+## Security & Safety
+- Never commit sensitive data (passwords, API keys, tokens, credentials)
+- Validate and sanitize all user inputs
+- Use secure coding practices appropriate for your language
+- Don't hardcode configuration values that should be external
+- Be careful with file permissions and access controls
+
+## Structure & Organization
+- Organize code logically with proper separation of concerns
+- Use consistent indentation and formatting
+- Keep related code together
+- Make sure public APIs are well documented
+- Consider backward compatibility when making changes
+
+## Testing & Reliability
+- Include appropriate error handling and recovery
+- Consider edge cases and boundary conditions
+- Make sure changes don't break existing functionality
+- Add tests for new features when applicable
+- Use meaningful commit messages that explain the "why" not just the "what"
+
+Review all code changes regardless of programming language, markup, configuration, or documentation files.
+      `.trim();
+    }
+
+    try {
+      return readFileSync(this.rulesFile, 'utf8');
+    } catch (error) {
+      this._logWarning(this._t('review.readFailed', { file: this.rulesFile, error: error.message }));
+      return this.loadRules();
+    }
+  }
+
+  async callWithTimeout(apiCall, timeoutMs) {
+    const controller = new AbortController();
+
+    return new Promise((resolve, reject) => {
+      let timer;
+      // Streaming calls re-arm the timer on every chunk, turning it into an inactivity timeout
+      const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          // Abort the underlying request so it does not keep running after we give up
+          controller.abort();
+          reject(this._timeoutError());
+        }, timeoutMs);
+      };
+      arm();
+
+      apiCall(controller.signal, arm)
+          .then(result => {
+            clearTimeout(timer);
+            resolve(result);
+          })
+          .catch(error => {
+            clearTimeout(timer);
+            reject(error);
+          });
+    });
+  }
+
+  _timeoutError() {
+    const error = new Error(this._t('review.timedOut', { seconds: this.timeout/1000 }));
+    error.code = 'ETIMEDOUT';
+    return error;
+  }
+
+  // Provider error bodies may mention "timeout" too, so only the code counts
+  _isTimeoutError(error) {
+    return !!error && error.code === 'ETIMEDOUT';
+  }
+
+  async callAI(prompt) {
+    const candidates = this.providers.filter(provider => {
+      if (this._hasCredentials(provider)) return true;
+      this._logWarning(this._t('review.providerSkipped', { reason: this._describeMissingKey(provider) }));
+      return false;
+    });
+
+    if (candidates.length === 0) {
+      const error = new Error(this._t('key.noneAvailable'));
+      error.code = 'ENOKEY';
+      throw error;
+    }
+
+    for (let i = 0; i < candidates.length; i++) {
+      const provider = candidates[i];
+      const model = this._getModel(provider);
+
+      try {
+        const text = await this._callProvider(provider, model, prompt);
+        return { text, provider, model };
+      } catch (error) {
+        const next = candidates[i + 1];
+        if (!next || !this._isFallbackError(error)) {
+          throw error;
+        }
+        this._logWarning(this._t('review.fallingBack', { provider: provider.toUpperCase(), error: error.message, next: next.toUpperCase() }));
+      }
+    }
+  }
+
+  async _callProvider(provider, model, prompt) {
+    const providerConfig = this._getProviderConfig(provider);
+
+    if (!providerConfig) {
+      throw new Error(this._t('review.unsupportedProvider', { provider }));
+    }
+
+    const request = this._buildRequest(provider, model, prompt, this._getApiKey(provider));
+    const { context, user, streaming } = request;
+
+    const apiCall = async (signal, onActivity) => {
+      if (providerConfig.call) {
+        if (!providerConfig.offline) {
+          this.recordAudit(provider, model, request);
+        }
+        return { text: await providerConfig.call(user, model, context), usage: null };
+      }
+
+      this.recordAudit(provider, model, request);
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: request.body,
+        signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(this._t('review.requestFailed', { status: response.status, error: errorText }));
+        error.status = response.status;
+        error.retryAfter = this._parseRetryAfter(response.headers?.get('retry-after'));
+        throw this._mapProviderError(providerConfig, error, { status: response.status, body: errorText });
+      }
+
+      // Servers that ignore the stream flag answer with a regular JSON body
+      const contentType = response.headers?.get('content-type') || '';
+      if (streaming && response.body && !contentType.includes('application/json')) {
+        return { text: await this._readStream(response, providerConfig, onActivity), usage: null };
+      }
+
+      const data = await response.json();
+
+      if (data.error) {
+        const error = new Error(data.error.message || JSON.stringify(data.error));
+        throw this._mapProviderError(providerConfig, error, { status: response.status, body: data });
+      }
+
+      return {
+        text: providerConfig.extractResponse(data),
+        usage: providerConfig.extractUsage ? providerConfig.extractUsage(data) : null
+      };
+    };
+
+    const { text, usage } = await this._callWithRetries(provider, apiCall);
+    if (!providerConfig.offline) {
+      const promptText = this.getPromptText(prompt);
+      this.recordUsage(provider, model, usage || {
+        inputTokens: this.estimateTokens(promptText),
+        outputTokens: this.estimateTokens(String(text || '')),
+        estimated: true
+      });
+      this.recordFixture(promptText, text, provider, model);
+    }
+    return text;
+  }
+
+  // Shared by _callProvider and dry runs. Providers with their own call() build the real request themselves,
+  // so for them the serialized model and prompts handed to call() stand in for the body
+  _buildRequest(provider, model, prompt, apiKey) {
+    const providerConfig = this._getProviderConfig(provider);
+    const { system, user } = typeof prompt === 'string' ? { system: null, user: prompt } : prompt;
+    const context = { apiKey, model, system, options: this._getProviderOptions(provider, model) };
+    const streaming = this.stream && !!providerConfig.stream;
+
+    if (providerConfig.call) {
+      const input = JSON.stringify({ model, system, prompt: user });
+      return { context, user, streaming: false, url: null, headers: {}, body: null, input };
+    }
+
+    const payload = providerConfig.payload(user, model, context);
+    return {
+      context,
+      user,
+      streaming,
+      url: providerConfig.buildUrl ? providerConfig.buildUrl(context) : providerConfig.apiUrl,
+      headers: providerConfig.headers(apiKey, context),
+      body: JSON.stringify(streaming ? providerConfig.stream.payload(payload) : payload)
+    };
+  }
+
+  recordAudit(provider, model, request) {
+    if (!this.auditLog) {
+      return null;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      provider,
+      model,
+      url: this._maskUrl(request.url),
+      target: this.diffTarget.label,
+      bytes: Buffer.byteLength(request.body ?? request.input),
+      sha256: this._hashPayload(request.body ?? request.input),
+      ...(request.body === null && { hashed: 'call-input' }),
+      redactions: { ...this.redactions }
+    };
+
+    try {
+      appendFileSync(this.auditLog, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      this._logWarning(this._t('audit.writeFailed', { file: this.auditLog, error: error.message }));
+    }
+    return entry;
+  }
+
+  _hashPayload(body) {
+    return crypto.createHash('sha256').update(body).digest('hex');
+  }
+
+  // Gemini passes the API key as a query parameter
+  _maskUrl(url) {
+    return url ? url.replace(/([?&](?:key|api[-_]?key|token)=)[^&]+/gi, '$1[API_KEY]') : null;
+  }
+
+  recordFixture(prompt, response, provider, model) {
+    if (!['1', 'true', 'yes', 'on'].includes(process.env.AI_GUARD_RECORD?.trim().toLowerCase())) {
+      return null;
+    }
+
+    const fixturesDir = this._getFixturesDir();
+    const fixturePath = AI_PROVIDERS.MOCK.fixturePath(fixturesDir, prompt);
+
+    try {
+      mkdirSync(fixturesDir, { recursive: true });
+      writeFileSync(fixturePath, JSON.stringify({
+        provider,
+        model,
+        recordedAt: new Date().toISOString(),
+        prompt,
+        response
+      }, null, 2));
+      this._logInfo(this._t('fixture.recorded', { file: path.relative(process.cwd(), fixturePath) }));
+      return fixturePath;
+    } catch (error) {
+      this._logWarning(this._t('fixture.failed', { error: error.message }));
+      return null;
+    }
+  }
+
+  _getFixturesDir() {
+    return path.resolve(process.env.AI_GUARD_FIXTURES || this.config.mock?.fixturesDir || CONFIG.FILES.FIXTURES);
+  }
+
+  recordUsage(provider, model, usage) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      date: this._localDate(),
+      provider,
+      model,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      estimated: !!usage.estimated,
+      cost: this.estimateCost(provider, model, usage)
+    };
+
+    try {
+      appendFileSync(this.usageFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+    }
+    return entry;
+  }
+
+  estimateCost(provider, model, usage) {
+    const price = this._getPrice(provider, model);
+    if (!price) {
+      return null;
+    }
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+  }
+
+  _getPrice(provider, model) {
+    const configured = (this.config.pricing && this.config.pricing[model]) ||
+        this._getProviderConfig(provider)?.pricing?.[model];
+    if (configured) {
+      return configured;
+    }
+
+    const prefix = Object.keys(CONFIG.PRICING)
+        .filter(name => model === name || model.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    if (prefix) {
+      return CONFIG.PRICING[prefix];
+    }
+
+    // Local models cost nothing unless a price is configured
+    return this._getProviderConfig(provider)?.requiresApiKey === false ? { input: 0, output: 0 } : null;
+  }
+
+  readUsageLedger() {
+    try {
+      if (!existsSync(this.usageFile)) {
+        return [];
+      }
+      return readFileSync(this.usageFile, 'utf8').split('\n')
+          .map(line => {
+            try {
+              return JSON.parse(line);
+            } catch {
+              return null;
+            }
+          })
+          .filter(entry => entry && entry.date && entry.provider);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  getSpentToday() {
+    const today = this._localDate();
+    return this.readUsageLedger()
+        .filter(entry => entry.date === today)
+        .reduce((total, entry) => total + (entry.cost || 0), 0);
+  }
+
+  applyDailyBudget() {
+    if (this.dailyBudget === null) {
+      return null;
+    }
+
+    const spent = this.getSpentToday();
+    if (spent < this.dailyBudget) {
+      return null;
+    }
+
+    const reached = this._t('budget.reached', { budget: this.dailyBudget.toFixed(2), spent: spent.toFixed(2) });
+    if (this.budgetAction === 'skip') {
+      this._logWarning(this._t('budget.skipping', { reached }));
+      return 'SKIP';
+    }
+
+    const cheaperModels = { ...CONFIG.BUDGET.CHEAPER_MODELS, ...this.config.cheaperModels };
+    const budgetModels = {};
+    const providers = this.providers.filter(provider => {
+      if (cheaperModels[provider]) {
+        budgetModels[provider] = cheaperModels[provider];
+        return true;
+      }
+      const price = this._getPrice(provider, this._getModel(provider));
+      return price && price.input === 0 && price.output === 0;
+    });
+
+    if (providers.length === 0) {
+      this._logWarning(this._t('budget.noCheaperModel', { reached }));
+      return 'SKIP';
+    }
+
+    this.providers = providers;
+    this.budgetModels = budgetModels;
+    this.provider = providers[0];
+    this.model = this._getModel();
+    const models = providers.map(provider => `${provider.toUpperCase()} (${this._getModel(provider)})`).join(', ');
+    this._logWarning(this._t('budget.switching', { reached, models }));
+    return 'CHEAPER';
+  }
+
+  _localDate(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  _showUsage() {
+    const days = parseInt(this._getArgValue('--days')) || CONFIG.USAGE_DAYS;
+    const since = this._localDate(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    const entries = this.readUsageLedger().filter(entry => entry.date >= since);
+
+    console.log(chalk.bold(this._t('usage.title', { days, file: this.usageFile })));
+    console.log('');
+
+    if (entries.length === 0) {
+      console.log(`  ${this._t('usage.empty')}`);
+      process.exit(0);
+      return;
+    }
+
+    const rows = new Map();
+    entries.forEach(entry => {
+      const key = `${entry.date}|${entry.provider}|${entry.model}`;
+      const row = rows.get(key) || { date: entry.date, provider: entry.provider, model: entry.model,
+        calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, estimated: false, unpriced: false };
+      row.calls++;
+      row.inputTokens += entry.inputTokens || 0;
+      row.outputTokens += entry.outputTokens || 0;
+      row.cost += entry.cost || 0;
+      row.estimated = row.estimated || entry.estimated;
+      row.unpriced = row.unpriced || entry.cost === null;
+      rows.set(key, row);
+    });
+
+    const formatCost = (row) => row.unpriced && row.cost === 0 ? 'n/a' : `$${row.cost.toFixed(4)}`;
+    const formatTokens = (count, estimated) => `${estimated ? '~' : ''}${count.toLocaleString('en-US')}`;
+    const columns = [['date', 10], ['provider', 18], ['model', 26], ['calls', 6], ['input', 12], ['output', 12], ['cost', 10]]
+        .map(([key, width]) => [this._t(`usage.${key}`), width]);
+    const line = (values) => '  ' + values.map((value, i) => i >= 3
+        ? String(value).padStart(columns[i][1])
+        : String(value).padEnd(columns[i][1])).join('  ');
+
+    console.log(chalk.gray(line(columns.map(([title]) => title))));
+    [...rows.values()]
+        .sort((a, b) => b.date.localeCompare(a.date) || a.provider.localeCompare(b.provider))
+        .forEach(row => console.log(line([row.date, row.provider.toUpperCase(), row.model, row.calls,
+          formatTokens(row.inputTokens, row.estimated), formatTokens(row.outputTokens, row.estimated), formatCost(row)])));
+
+    const total = entries.reduce((sum, entry) => sum + (entry.cost || 0), 0);
+    console.log('');
+    console.log(`  ${this._t('usage.total', { total: total.toFixed(4), calls: entries.length })}`);
+
+    const today = this.getSpentToday();
+    const budget = this.dailyBudget !== null ? this._t('usage.budget', { budget: this.dailyBudget.toFixed(2) }) : '';
+    console.log(`  ${this._t('usage.today', { spent: today.toFixed(4), budget })}`);
+    if (entries.some(entry => entry.estimated)) {
+      console.log(chalk.gray(`  ${this._t('usage.estimated')}`));
+    }
+    process.exit(0);
+  }
+
+  async _readStream(response, providerConfig, onActivity) {
+    const { format, extractDelta } = providerConfig.stream;
+    const decoder = new TextDecoder();
+    const progress = this._createStreamProgress();
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+      let data = line.trim();
+      if (format === 'sse') {
+        if (!data.startsWith('data:')) return;
+        data = data.slice(5).trim();
+      }
+      if (!data || data === '[DONE]') return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        return;
+      }
+
+      if (event.error) {
+        throw this._mapProviderError(providerConfig,
+            new Error(event.error.message || JSON.stringify(event.error)), { status: response.status, body: event });
+      }
+
+      const delta = extractDelta(event);
+      if (delta) {
+        text += delta;
+        progress(text);
+      }
+    };
+
+    for await (const chunk of response.body) {
+      onActivity();
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    return text;
+  }
+
+  _createStreamProgress() {
+    let started = false;
+    let shown = 0;
+
+    return (text) => {
+      if (!started) {
+        started = true;
+        this._logAI(this._t('review.receiving'));
+      }
+
+      const findings = this._extractStreamedFindings(text);
+      findings.slice(shown).forEach(finding => {
+        const location = finding.file ? ` ${finding.line ? `${finding.file}:${finding.line}` : finding.file}` : '';
+        this._print(chalk.gray(`  … [${finding.severity.toUpperCase()}]${location} - ${finding.message}`));
+      });
+      shown = Math.max(shown, findings.length);
+    };
+  }
+
+  _extractStreamedFindings(text) {
+    const start = text.search(/"findings"\s*:\s*\[/);
+    if (start === -1) {
+      return [];
+    }
+
+    const findings = [];
+    let depth = 0;
+    let inString = false;
+    let objectStart = -1;
+
+    // Collect every finding object that has been fully received so far
+    for (let i = text.indexOf('[', start) + 1; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) objectStart = i;
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0 && objectStart !== -1) {
+          try {
+            const finding = this._normalizeFinding(JSON.parse(text.slice(objectStart, i + 1)));
+            if (finding) findings.push(finding);
+          } catch {
+          }
+          objectStart = -1;
+        }
+      } else if (char === ']' && depth === 0) {
+        break;
+      }
+    }
+
+    return findings;
+  }
+
+  _getProviderOptions(provider, model) {
+    if (provider === 'azure') {
+      return this._getAzureSettings(model);
+    }
+
+    if (provider === 'openai-compatible') {
+      return this._getCompatibleSettings();
+    }
+
+    if (provider === 'mock') {
+      return { fixturesDir: this._getFixturesDir() };
+    }
+
+    return this.config.providerOptions?.[provider] || {};
+  }
+
+  _mapProviderError(providerConfig, error, response) {
+    if (!providerConfig.mapError) {
+      return error;
+    }
+
+    const mapped = providerConfig.mapError(error, response) || error;
+    // Keep the status so retries and fallback still work when a plugin returns a plain Error
+    if (mapped.status === undefined) mapped.status = error.status;
+    if (mapped.retryAfter === undefined) mapped.retryAfter = error.retryAfter;
+    return mapped;
+  }
+
+  async _callWithRetries(provider, apiCall) {
+    // Each request gets AI_GUARD_TIMEOUT, but chunks, retries and fallbacks all draw from the run's overall budget
+    const deadline = this.deadline ?? Date.now() + this.timeout;
+
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw this._timeoutError();
+      }
+
+      try {
+        return await this.callWithTimeout(apiCall, Math.min(this.timeout, remaining));
+      } catch (error) {
+        if (this._isTimeoutError(error)) {
+          throw error;
+        }
+
+        if (attempt >= this.retries || !this._isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(error, attempt);
+        if (Date.now() + delay >= deadline) {
+          throw error;
+        }
+
+        this._logWarning(this._t('review.retrying', {
+          provider: provider.toUpperCase(),
+          error: error.status || error.message,
+          delay: (delay/1000).toFixed(1),
+          attempt: attempt + 1,
+          retries: this.retries
+        }));
+        await this._sleep(delay);
+      }
+    }
+  }
+
+  _isRetryableError(error) {
+    if (error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+
+    // Network failures (DNS, refused connections) surface as TypeError from fetch
+    return error.name === 'TypeError';
+  }
+
+  _isFallbackError(error) {
+    // A provider that timed out can hand over to the next one while the run still has budget left
+    if (this._isTimeoutError(error)) {
+      return !this.deadline || this.deadline > Date.now();
+    }
+    return this._isRetryableError(error);
+  }
+
+  _getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter;
+    }
+
+    const exponential = Math.min(CONFIG.RETRY.MAX_DELAY, CONFIG.RETRY.BASE_DELAY * 2 ** attempt);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  _parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async reviewChunks(chunks, rules) {
+    const outcomes = new Array(chunks.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < chunks.length) {
+        const index = next++;
+        try {
+          outcomes[index] = { review: await this._reviewChunk(chunks[index], index, chunks.length, rules) };
+        } catch (error) {
+          outcomes[index] = { error };
+        }
+      }
+    };
+
+    const workerCount = Math.min(this.concurrency, chunks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    const reviews = outcomes.filter(outcome => outcome.review).map(outcome => outcome.review);
+    const failed = outcomes.map((outcome, index) => ({ ...outcome, chunk: chunks[index] }))
+        .filter(outcome => outcome.error);
+
+    // Only give up on the whole review when nothing came back at all, or when a failure would hit every chunk
+    // again (bad key, unknown model), which a partial result would hide
+    const permanent = failed.find(({ error }) => !this._isTimeoutError(error) && !this._isRetryableError(error));
+    if (reviews.length === 0 || permanent) {
+      throw (permanent || failed[0]).error;
+    }
+
+    const merged = this.mergeReviews(reviews);
+    const unreviewedFiles = [];
+    failed.forEach(({ chunk, error }) => {
+      this._logWarning(this._t('review.chunkFailed', { files: chunk.files.join(', '), error: error.message }));
+      chunk.files.forEach(file => {
+        if (!unreviewedFiles.includes(file)) unreviewedFiles.push(file);
+      });
+    });
+
+    const failureType = failed.every(({ error }) => this._isTimeoutError(error)) ? 'timeout' : 'error';
+    return { ...merged, unreviewedFiles, failureType: failed.length > 0 ? failureType : null };
+  }
+
+  async _reviewChunk(chunk, index, total, rules) {
+    const label = total > 1 ? this._t('review.chunkLabel', { index: index + 1, total }) : '';
+    if (this.consensus) {
+      return this._reviewChunkByConsensus(chunk, label, rules);
+    }
+
+    // Offline providers answer from fixtures, so caching would hide fixture edits
+    const cacheable = !this._getProviderConfig(this.provider).offline;
+    const prompt = this.createPrompt(chunk.changes, rules, chunk.files);
+    const cacheKey = this.getCacheKey(prompt);
+    let entry = cacheable ? this.getCacheEntry(cacheKey) : null;
+
+    if (entry) {
+      this._logInfo(this._t('review.usingCache', { label, provider: entry.provider.toUpperCase() }));
+    } else {
+      this._logAI(this._t('review.sending', { label, provider: this.provider.toUpperCase(), seconds: this.timeout/1000 }));
+      const response = await this.callAI(prompt);
+      entry = { result: response.text, provider: response.provider, model: response.model };
+      if (cacheable && !this._getProviderConfig(response.provider).offline) {
+        this.setCache(cacheKey, entry.result, entry);
+      }
+    }
+
+    const review = this.parseAIResponse(entry.result);
+    if (!review.structured) {
+      this._logWarning(this._t('review.unstructured', { label }));
+    }
+    return { ...review, reviewers: [{ provider: entry.provider, model: entry.model }] };
+  }
+
+  async _reviewChunkByConsensus(chunk, label, rules) {
+    const panel = this._getConsensusPanel();
+    const prompt = this.createPrompt(chunk.changes, rules, chunk.files);
+    this._logAI(this._t('review.sendingConsensus', {
+      label,
+      providers: panel.map(provider => provider.toUpperCase()).join(', '),
+      policy: this.consensus,
+      seconds: this.timeout/1000
+    }));
+
+    const outcomes = await Promise.allSettled(panel.map(async provider => {
+      const model = this._getModel(provider);
+      const cacheable = !this._getProviderConfig(provider).offline;
+      const cacheKey = this.getCacheKey(prompt, provider, model);
+      let entry = cacheable ? this.getCacheEntry(cacheKey) : null;
+
+      if (!entry) {
+        entry = { result: await this._callProvider(provider, model, prompt), provider, model };
+        if (cacheable) {
+          this.setCache(cacheKey, entry.result, entry);
+        }
+      }
+
+      return { ...this.parseAIResponse(entry.result), reviewers: [{ provider: entry.provider, model: entry.model }] };
+    }));
+
+    const reviews = [];
+    outcomes.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        reviews.push(outcome.value);
+      } else {
+        this._logWarning(this._t('review.noVote', { provider: panel[i].toUpperCase(), label, error: outcome.reason.message }));
+      }
+    });
+
+    if (reviews.length === 0) {
+      throw outcomes[0].reason;
+    }
+
+    return this.combineVerdicts(reviews, this.consensus);
+  }
+
+  createPrompt(changes, rules, files = []) {
+    const template = this.loadPromptTemplate();
+    if (template) {
+      return this.renderPromptTemplate(template, this.getPromptVariables(changes, rules, files));
+    }
+
+    return `
+You are an expert code reviewer. Please review the following code changes against the established rules and best practices.
+
+## Review Guidelines:
+${rules}
+
+## Code Changes to Review:
+${changes}
+
+## Instructions:
+- Review ALL changes regardless of programming language (JavaScript, Python, Go, Rust, Java, C++, HTML, CSS, YAML, JSON, Markdown, configuration files, etc.)
+- Look for code quality issues, potential bugs, security concerns, and adherence to best practices
+- Consider the context and purpose of the changes
+- Be constructive and specific in your feedback
+
+## Response Format:
+${this.getResponseFormat()}
+
+## Examples of what to look for:
+- Security vulnerabilities (exposed secrets, injection risks, unsafe operations)
+- Logic errors and potential bugs
+- Performance issues or inefficient patterns
+- Maintainability concerns (unclear naming, complex logic)
+- Missing error handling
+- Configuration or documentation issues
+- Inconsistent formatting or style (only if severe)
+
+Focus on functionality, security, and maintainability over minor style preferences.
+    `.trim();
+  }
+
+  getResponseFormat() {
+    return `
+Respond with a single JSON object and nothing else (no markdown fences, no text before or after it):
+{
+  "verdict": "APPROVE" or "REJECT",
+  "summary": "One or two sentences about the change as a whole",
+  "findings": [
+    {
+      "file": "path/to/file.ext",
+      "line": 42,
+      "severity": "critical" | "high" | "medium" | "low" | "info",
+      "rule": "Heading of the guideline section that applies",
+      "message": "What the problem is and why it matters",
+      "fix": "Clear, actionable solution"
+    }
+  ]
+}
+
+- Use "REJECT" only if there are issues that should prevent the commit, otherwise use "APPROVE"
+- Use the line number in the new version of the file (see the diff hunk headers), or null if unknown
+- Severity: "critical" for security vulnerabilities and exposed secrets, "high" for bugs and logic errors, "medium" for maintainability problems, "low" for minor style issues, "info" for optional suggestions or praise
+- Prioritize critical issues (security, bugs) over style issues
+- Use an empty "findings" array if there is nothing to report${this._getLanguageInstruction()}
+    `.trim();
+  }
+
+  _getLanguageInstruction() {
+    const language = this._getLanguageName();
+    if (language === LANGUAGE_NAMES[DEFAULT_LANGUAGE]) {
+      return '';
+    }
+
+    // The verdict and severities are parsed, only the prose may be translated
+    return `\n- Write "summary", "message" and "fix" in ${language}. Keep the JSON keys, "APPROVE"/"REJECT" and the severity values in English`;
+  }
+
+  loadPromptTemplate() {
+    if (this.promptTemplate !== undefined) {
+      return this.promptTemplate;
+    }
+
+    const file = this.promptTemplateFile || CONFIG.FILES.PROMPT_TEMPLATE;
+    this.promptTemplate = null;
+
+    if (!existsSync(file)) {
+      if (this.promptTemplateFile) {
+        this._logWarning(this._t('template.notFound', { file }));
+      }
+      return null;
+    }
+
+    try {
+      this.promptTemplate = this.parsePromptTemplate(readFileSync(file, 'utf8'));
+    } catch (error) {
+      this._logWarning(this._t('template.unreadable', { file, error: error.message }));
+      return null;
+    }
+
+    const used = [this.promptTemplate.system, this.promptTemplate.user].join('\n');
+    const unknown = [...new Set([...used.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]))]
+      .filter(name => !CONFIG.PROMPT.VARIABLES.includes(name));
+    if (unknown.length > 0) {
+      this._logWarning(this._t('template.unknownPlaceholders', { file, unknown: unknown.join(', '), available: CONFIG.PROMPT.VARIABLES.join(', ') }));
+    }
+
+    // A template that forgets the diff would send the model nothing to review
+    if (!/\{\{\s*changes\s*\}\}/.test(this.promptTemplate.user)) {
+      this._logWarning(this._t('template.noChanges', { file }));
+      this.promptTemplate.user += '\n\n{{changes}}';
+    }
+
+    return this.promptTemplate;
+  }
+
+  parsePromptTemplate(content) {
+    const sections = { system: [], user: [] };
+    const marker = new RegExp(`^\\[(${CONFIG.PROMPT.SECTIONS.join('|')})\\]\\s*$`, 'i');
+    let current = null;
+    const preamble = [];
+
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.match(marker);
+      if (match) {
+        current = match[1].toLowerCase();
+      } else if (current) {
+        sections[current].push(line);
+      } else {
+        preamble.push(line);
+      }
+    }
+
+    // Without section markers the whole file is the user prompt
+    if (!current) {
+      return { system: null, user: content.trim() };
+    }
+
+    return {
+      system: sections.system.join('\n').trim() || null,
+      user: [...preamble, ...sections.user].join('\n').trim()
+    };
+  }
+
+  renderPromptTemplate(template, variables) {
+    const render = (text) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match);
+
+    const user = render(template.user);
+    return template.system ? { system: render(template.system), user } : user;
+  }
+
+  getPromptVariables(changes, rules, files = []) {
+    return {
+      rules,
+      changes,
+      branch: this._getBranchName(),
+      commitMessage: this._getReviewedCommitMessage(),
+      languages: this._detectLanguages(files).join(', ') || 'unknown',
+      fileList: files.map(file => `- ${file}`).join('\n'),
+      responseFormat: this.getResponseFormat(),
+      language: this._getLanguageName()
+    };
+  }
+
+  getPromptText(prompt) {
+    return typeof prompt === 'string' ? prompt : [prompt.system, prompt.user].filter(Boolean).join('\n\n');
+  }
+
+  _getBranchName() {
+    if (this.branchName === undefined) {
+      try {
+        this.branchName = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      } catch {
+        this.branchName = '';
+      }
+
+      // CI checkouts are usually detached, the runner knows the real branch
+      if (!this.branchName || this.branchName === 'HEAD') {
+        this.branchName = process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME ||
+          process.env.CI_COMMIT_REF_NAME || this.branchName || 'unknown';
+      }
+    }
+    return this.branchName;
+  }
+
+  _getReviewedCommitMessage() {
+    const { mode, refs, args } = this.diffTarget;
+
+    try {
+      if (mode === 'commit') {
+        return execSync(`git log -1 --format=%B "${refs[0]}"`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      }
+      if (mode === 'range') {
+        return execSync(`git log --format=%s ${args}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      }
+    } catch {
+      return '';
+    }
+
+    // pre-commit runs before git writes the new message, COMMIT_EDITMSG still holds the previous one
+    return process.env.GIT_COMMIT_MESSAGE || '';
+  }
+
+  _detectLanguages(files) {
+    const languages = files.map(file => {
+      const name = path.basename(file);
+      return CONFIG.LANGUAGES[name] || CONFIG.LANGUAGES[path.extname(name).toLowerCase()];
+    });
+    return [...new Set(languages.filter(Boolean))];
+  }
+
+  writeReport(review, evaluation) {
+    if (this.outputFormat === 'text') {
+      return;
+    }
+
+    try {
+      const report = this.buildReport(review, evaluation, this.loadRules());
+
+      if (this.outputFile) {
+        const outputDir = path.dirname(this.outputFile);
+        if (!existsSync(outputDir)) {
+          mkdirSync(outputDir, { recursive: true });
+        }
+        writeFileSync(this.outputFile, report);
+        this._logInfo(this._t('report.written', { format: this.outputFormat, file: this.outputFile }));
+      } else {
+        process.stdout.write(report + '\n');
+      }
+    } catch (error) {
+      this._logWarning(this._t('report.failed', { format: this.outputFormat, error: error.message }));
+    }
+  }
+
+  // CI jobs upload the report whatever happened, so a review that never ran still leaves one behind
+  _writeFailureReport(type) {
+    const review = {
+      verdict: null,
+      summary: this._t(`failure.type.${type}`),
+      findings: [],
+      structured: true,
+      reviewers: [],
+      unreviewedFiles: Object.keys(this.reviewedDiffs),
+      failureType: type
+    };
+    this.writeReport(review, { status: 'ERROR', blocking: [], warnings: [] });
+  }
+
+  buildReport(review, evaluation, rules) {
+    switch (this.outputFormat) {
+      case 'json':
+        return JSON.stringify(this.buildJsonReport(review, evaluation), null, 2);
+      case 'sarif':
+        return JSON.stringify(this.buildSarifReport(review, evaluation, rules), null, 2);
+      case 'junit':
+        return this.buildJunitReport(review, evaluation);
+      case 'markdown':
+        return this.buildMarkdownReport(review, evaluation);
+      default:
+        throw new Error(this._t('config.unknownFormat', { format: this.outputFormat, formats: CONFIG.OUTPUT_FORMATS.join(', ') }));
+    }
+  }
+
+  buildJsonReport(review, evaluation) {
+    return {
+      status: evaluation.status,
+      verdict: review.verdict,
+      summary: review.summary,
+      provider: this.provider,
+      model: this.model,
+      reviewers: review.reviewers || [],
+      failOn: this.failOn,
+      files: Object.keys(this.reviewedDiffs),
+      unreviewedFiles: review.unreviewedFiles || [],
+      failureType: review.failureType || null,
+      findings: review.findings.map(finding => ({
+        ...finding,
+        blocking: evaluation.blocking.includes(finding)
+      }))
+    };
+  }
+
+  buildJunitReport(review, evaluation) {
+    const files = Object.keys(this.reviewedDiffs);
+    const findingsByFile = new Map(files.map(file => [file, []]));
+    const generalFindings = [];
+
+    review.findings.forEach(finding => {
+      const location = this._resolveFindingLocation(finding);
+      if (location && findingsByFile.has(location.file)) {
+        findingsByFile.get(location.file).push({ finding, location });
+      } else {
+        generalFindings.push({ finding, location });
+      }
+    });
+
+    const describe = ({ finding, location }) => {
+      const where = location ? `${location.file}:${location.line}` : 'general';
+      const fix = finding.fix ? `\n   Fix: ${finding.fix}` : '';
+      return `[${finding.severity.toUpperCase()}] ${where} - ${finding.message}${fix}`;
+    };
 
-        if (diff.length > this.maxFileSize) {
-          this._logWarning(`${file} is too large (${(diff.length/1024).toFixed(1)}KB), skipping detailed review`);
-          return `--- ${file} ---\n[File too large for AI review - ${(diff.length/1024).toFixed(1)}KB]`;
-        }
+    const testcases = [];
+    const unreviewedFiles = review.unreviewedFiles || [];
+    const addTestcase = (name, entries) => {
+      const blocking = entries.filter(entry => evaluation.blocking.includes(entry.finding));
+      const others = entries.filter(entry => !evaluation.blocking.includes(entry.finding));
+      const lines = [`    <testcase classname="ai-commit-guard" name="${this._escapeXml(name)}">`];
 
-        const filteredDiff = this.filterSensitiveContent(diff);
-        return `--- ${file} ---\n${filteredDiff}`;
-      } catch (error) {
-        this._logWarning(`Could not get diff for ${file}: ${error.message}`);
-        return '';
+      if (unreviewedFiles.includes(name)) {
+        lines.push('      <skipped message="File could not be reviewed"/>');
       }
-    }).filter(change => change).join('\n\n');
-  }
 
-  filterSensitiveContent(content) {
-    return content
-        .replace(/(['"`])sk-[a-zA-Z0-9]{32,}(['"`])/g, '$1[API_KEY_HIDDEN]$2')
-        .replace(/(['"`])[a-zA-Z0-9]{32,}(['"`])/g, (match, quote1, quote2) => {
-          const lowerMatch = match.toLowerCase();
-          if (SENSITIVE_KEYWORDS.some(keyword => lowerMatch.includes(keyword))) {
-            return `${quote1}[SECRET_HIDDEN]${quote2}`;
-          }
-          return match;
-        })
-        .replace(/password\s*[:=]\s*['"`][^'"`]+['"`]/gi, 'password: "[PASSWORD_HIDDEN]"')
-        .replace(/token\s*[:=]\s*['"`][^'"`]+['"`]/gi, 'token: "[TOKEN_HIDDEN]"')
-        .replace(/(secret|key)\s*[:=]\s*['"`][^'"`]+['"`]/gi, '$1: "[SECRET_HIDDEN]"');
-  }
+      if (blocking.length > 0) {
+        const message = `${blocking.length} blocking finding(s)`;
+        lines.push(`      <failure message="${this._escapeXml(message)}" type="${blocking[0].finding.severity}">${this._escapeXml(blocking.map(describe).join('\n'))}</failure>`);
+      }
+      if (others.length > 0) {
+        lines.push(`      <system-out>${this._escapeXml(others.map(describe).join('\n'))}</system-out>`);
+      }
 
-  loadRules() {
-    if (!existsSync(CONFIG.FILES.RULES)) {
-      return `
-# Universal Code Review Rules
+      lines.push('    </testcase>');
+      testcases.push({ xml: lines.join('\n'), failed: blocking.length > 0, skipped: unreviewedFiles.includes(name) });
+    };
 
-## Code Quality & Maintainability
-- Use meaningful and descriptive names for variables, functions, and classes
-- Keep functions focused and concise (prefer under 20-30 lines)
-- Avoid magic numbers and strings - use named constants or configuration
-- Remove unused variables, imports, and dead code
-- Add appropriate comments for complex logic and business rules
+    findingsByFile.forEach((entries, file) => addTestcase(file, entries));
 
-## Best Practices
-- Follow consistent naming conventions for your language/framework
-- Handle errors appropriately - don't ignore or suppress them silently
-- Validate inputs and handle edge cases
-- Use proper logging instead of debug print statements
-- Follow the DRY principle - avoid code duplication
+    if (evaluation.status === 'ERROR') {
+      testcases.push({
+        xml: [
+          '    <testcase classname="ai-commit-guard" name="AI review">',
+          `      <error message="Review did not run" type="${this._escapeXml(review.failureType)}">${this._escapeXml(review.summary)}</error>`,
+          '    </testcase>'
+        ].join('\n'),
+        errored: true
+      });
+    } else if (generalFindings.length > 0) {
+      addTestcase('AI review', generalFindings);
+    } else if (evaluation.status === 'REJECT' && evaluation.blocking.length === 0) {
+      // A rejection without findings has nothing to attach to a file, so surface it on its own
+      testcases.push({
+        xml: [
+          '    <testcase classname="ai-commit-guard" name="AI review">',
+          `      <failure message="Review rejected" type="REJECT">${this._escapeXml(review.summary || 'The AI review rejected these changes')}</failure>`,
+          '    </testcase>'
+        ].join('\n'),
+        failed: true
+      });
+    }
 
-## Security & Safety
-- Never commit sensitive data (passwords, API keys, tokens, credentials)
-- Validate and sanitize all user inputs
-- Use secure coding practices appropriate for your language
-- Don't hardcode configuration values that should be external
-- Be careful with file permissions and access controls
+    const failures = testcases.filter(testcase => testcase.failed).length;
+    const skipped = testcases.filter(testcase => testcase.skipped).length;
+    const errors = testcases.filter(testcase => testcase.errored).length;
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="ai-commit-guard" tests="${testcases.length}" failures="${failures}">`,
+      `  <testsuite name="AI Code Review (${this._escapeXml(this._describeReviewers(review))})" tests="${testcases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}">`,
+      ...testcases.map(testcase => testcase.xml),
+      '  </testsuite>',
+      '</testsuites>'
+    ].join('\n');
+  }
 
-## Structure & Organization
-- Organize code logically with proper separation of concerns
-- Use consistent indentation and formatting
-- Keep related code together
-- Make sure public APIs are well documented
-- Consider backward compatibility when making changes
+  buildMarkdownReport(review, evaluation) {
+    const files = evaluation.status === 'ERROR' ? [] : Object.keys(this.reviewedDiffs);
+    const lines = [
+      '## 🤖 AI Commit Guard Review',
+      '',
+      `**Result:** ${CONFIG.STATUS_LABELS[evaluation.status]} · **Reviewed by:** ${this._describeReviewers(review)} · **Files reviewed:** ${files.length}`,
+      ''
+    ];
+
+    if (review.summary) {
+      lines.push(...review.summary.split('\n').map(line => `> ${line}`), '');
+    }
 
-## Testing & Reliability
-- Include appropriate error handling and recovery
-- Consider edge cases and boundary conditions
-- Make sure changes don't break existing functionality
-- Add tests for new features when applicable
-- Use meaningful commit messages that explain the "why" not just the "what"
+    if (review.unreviewedFiles && review.unreviewedFiles.length > 0) {
+      lines.push(`**⚠️ Not reviewed:** ${review.unreviewedFiles.map(file => `\`${file}\``).join(', ')}`, '');
+    }
 
-Review all code changes regardless of programming language, markup, configuration, or documentation files.
-      `.trim();
+    if (evaluation.status === 'ERROR') {
+      return lines.join('\n').trimEnd();
     }
 
-    try {
-      return readFileSync(CONFIG.FILES.RULES, 'utf8');
-    } catch (error) {
-      this._logWarning(`Could not read ${CONFIG.FILES.RULES}: ${error.message}`);
-      return this.loadRules();
+    if (review.findings.length === 0) {
+      lines.push('No findings. 🎉');
+    } else {
+      lines.push('| Severity | Location | Finding | Blocking |', '|----------|----------|---------|----------|');
+      review.findings.forEach(finding => {
+        const location = this._resolveFindingLocation(finding);
+        const where = location ? `\`${location.file}:${location.line}\`` : '-';
+        const rule = finding.rule ? `<br>_Rule: ${this._escapeMarkdownCell(finding.rule)}_` : '';
+        const fix = finding.fix ? `<br>**Fix:** ${this._escapeMarkdownCell(finding.fix)}` : '';
+        const agreed = finding.agreedBy ? `<br>_Agreed by: ${this._escapeMarkdownCell(this._describeAgreement(finding, review))}_` : '';
+        const blocking = evaluation.blocking.includes(finding) ? 'yes' : 'no';
+        lines.push(`| ${CONFIG.SEVERITY_ICONS[finding.severity]} ${finding.severity} | ${where} | ${this._escapeMarkdownCell(finding.message)}${rule}${fix}${agreed} | ${blocking} |`);
+      });
     }
-  }
 
-  async callWithTimeout(apiCall, timeoutMs) {
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        reject(new Error(`AI review timeout after ${timeoutMs/1000} seconds`));
-      }, timeoutMs);
+    if (files.length > 0) {
+      lines.push('', '<details><summary>Reviewed files</summary>', '');
+      files.forEach(file => lines.push(`- \`${file}\``));
+      lines.push('', '</details>');
+    }
 
-      apiCall()
-          .then(result => {
-            clearTimeout(timer);
-            resolve(result);
-          })
-          .catch(error => {
-            clearTimeout(timer);
-            reject(error);
-          });
-    });
+    return lines.join('\n');
   }
 
-  async callAI(prompt) {
-    const providerConfig = AI_PROVIDERS[this.provider.toUpperCase()];
+  _describeReviewers(review) {
+    const reviewers = review.reviewers && review.reviewers.length > 0
+        ? review.reviewers
+        : [{ provider: this.provider, model: this.model }];
+    return reviewers.map(({ provider, model }) => `${provider.toUpperCase()} (${model})`).join(', ');
+  }
 
-    if (!providerConfig) {
-      throw new Error(`Unsupported AI provider: ${this.provider}`);
-    }
+  _describeAgreement(finding, review) {
+    const names = finding.agreedBy.map(({ provider }) => provider.toUpperCase()).join(', ');
+    const panelSize = new Set((review.reviewers || finding.agreedBy).map(({ provider }) => provider)).size;
+    return `${names} (${finding.agreedBy.length}/${panelSize})`;
+  }
 
-    const apiCall = async () => {
-      let url = providerConfig.apiUrl;
-      let headers = providerConfig.headers(this.apiKey);
-      let payload = providerConfig.payload(prompt, this.model);
+  _escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+  }
 
-      if (this.provider === 'gemini' && providerConfig.buildUrl) {
-        url = providerConfig.buildUrl(this.apiKey);
-        headers = providerConfig.headers();
-      }
+  _escapeMarkdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  }
 
-      if (this.provider === 'ollama') {
-        headers = providerConfig.headers();
+  buildSarifReport(review, evaluation, rules) {
+    const sections = this.parseRuleSections(rules);
+    const sarifRules = sections.map(section => ({
+      id: section.id,
+      name: section.name,
+      shortDescription: { text: section.name },
+      fullDescription: { text: section.description || section.name }
+    }));
+
+    const results = review.findings.map(finding => {
+      const ruleId = this._matchRuleSection(finding.rule, sections)?.id || CONFIG.GENERAL_RULE_ID;
+      if (ruleId === CONFIG.GENERAL_RULE_ID && !sarifRules.some(rule => rule.id === ruleId)) {
+        sarifRules.push({
+          id: CONFIG.GENERAL_RULE_ID,
+          name: 'General',
+          shortDescription: { text: 'General code review finding' },
+          fullDescription: { text: 'Finding that does not map to a section of the rules file' }
+        });
       }
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(payload)
-      });
+      const result = {
+        ruleId,
+        ruleIndex: sarifRules.findIndex(rule => rule.id === ruleId),
+        level: CONFIG.SARIF_LEVELS[finding.severity],
+        message: { text: finding.fix ? `${finding.message}\nFix: ${finding.fix}` : finding.message },
+        properties: {
+          severity: finding.severity,
+          blocking: evaluation.blocking.includes(finding)
+        }
+      };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API request failed (${response.status}): ${errorText}`);
+      const location = this._resolveFindingLocation(finding);
+      if (location) {
+        result.locations = [{
+          physicalLocation: {
+            artifactLocation: { uri: location.file },
+            region: { startLine: location.line }
+          }
+        }];
       }
 
-      const data = await response.json();
+      return result;
+    });
 
-      if (data.error) {
-        throw new Error(data.error.message || JSON.stringify(data.error));
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'ai-commit-guard',
+            version: this._getVersion(),
+            informationUri: 'https://github.com/ademalkan/ai-commit-guard',
+            rules: sarifRules
+          }
+        },
+        ...(evaluation.status === 'ERROR' && {
+          invocations: [{
+            executionSuccessful: false,
+            toolExecutionNotifications: [{ level: 'error', message: { text: review.summary } }]
+          }]
+        }),
+        results
+      }]
+    };
+  }
+
+  parseRuleSections(rules) {
+    const sections = [];
+    let current = null;
+
+    (rules || '').split('\n').forEach(line => {
+      const heading = line.match(/^#{2,6}\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        const baseId = this._slugify(heading[1]) || `rule-${sections.length + 1}`;
+        const duplicates = sections.filter(section => section.baseId === baseId).length;
+        current = {
+          id: duplicates > 0 ? `${baseId}-${duplicates + 1}` : baseId,
+          baseId,
+          name: heading[1].trim(),
+          lines: []
+        };
+        sections.push(current);
+      } else if (current && line.trim()) {
+        current.lines.push(line.trim().replace(/^[-*•]\s*/, ''));
       }
+    });
 
-      return providerConfig.extractResponse(data);
-    };
+    return sections.map(({ id, name, lines }) => ({ id, name, description: lines.join(' ') }));
+  }
 
-    return await this.callWithTimeout(apiCall, this.timeout);
+  _matchRuleSection(rule, sections) {
+    if (!rule) {
+      return null;
+    }
+
+    const ruleSlug = this._slugify(rule);
+    return sections.find(section => section.id === ruleSlug) ||
+        sections.find(section => ruleSlug.startsWith(section.id)) ||
+        null;
   }
 
-  createPrompt(changes, rules) {
-    return `
-You are an expert code reviewer. Please review the following code changes against the established rules and best practices.
+  _slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
 
-## Review Guidelines:
-${rules}
+  parseDiffHunks(diff) {
+    const hunks = [];
+    const hunkHeader = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm;
+    let match;
 
-## Code Changes to Review:
-${changes}
+    while ((match = hunkHeader.exec(diff || '')) !== null) {
+      hunks.push({
+        start: parseInt(match[1], 10),
+        count: match[2] === undefined ? 1 : parseInt(match[2], 10)
+      });
+    }
 
-## Instructions:
-- Review ALL changes regardless of programming language (JavaScript, Python, Go, Rust, Java, C++, HTML, CSS, YAML, JSON, Markdown, configuration files, etc.)
-- Look for code quality issues, potential bugs, security concerns, and adherence to best practices
-- Consider the context and purpose of the changes
-- Be constructive and specific in your feedback
+    return hunks;
+  }
 
-## Response Format:
-If there are issues that should prevent the commit:
-- Start response with "REJECT"
-- List specific problems with file names and locations when possible
-- Provide clear, actionable solutions for each issue
-- Prioritize critical issues (security, bugs) over style issues
+  _resolveFindingLocation(finding) {
+    if (!finding.file) {
+      return null;
+    }
 
-If the code meets standards:
-- Start response with "APPROVE"
-- Optionally suggest minor improvements or praise good practices
-- Keep suggestions brief and constructive
+    const normalized = finding.file.replace(/^\.\//, '').replace(/^[ab]\//, '');
+    const reviewedFiles = Object.keys(this.reviewedDiffs);
+    const file = reviewedFiles.find(reviewed => reviewed === normalized) ||
+        reviewedFiles.find(reviewed => reviewed.endsWith(`/${normalized}`)) ||
+        normalized;
 
-## Examples of what to look for:
-- Security vulnerabilities (exposed secrets, injection risks, unsafe operations)
-- Logic errors and potential bugs
-- Performance issues or inefficient patterns
-- Maintainability concerns (unclear naming, complex logic)
-- Missing error handling
-- Configuration or documentation issues
-- Inconsistent formatting or style (only if severe)
+    const hunks = this.parseDiffHunks(this.reviewedDiffs[file]);
+    if (hunks.length === 0) {
+      return { file, line: finding.line || 1 };
+    }
 
-Focus on functionality, security, and maintainability over minor style preferences.
-    `.trim();
+    const inHunk = finding.line && hunks.some(hunk =>
+        finding.line >= hunk.start && finding.line < hunk.start + Math.max(hunk.count, 1));
+    if (inHunk) {
+      return { file, line: finding.line };
+    }
+
+    // Snap to the nearest changed hunk so dashboards point at code from this diff
+    const target = finding.line || hunks[0].start;
+    const nearest = hunks.reduce((best, hunk) =>
+        Math.abs(hunk.start - target) < Math.abs(best.start - target) ? hunk : best);
+    return { file, line: Math.max(nearest.start, 1) };
   }
 
-  getCacheKey(changes) {
-    const hash = crypto.createHash('sha256').update(changes + this.provider + this.model).digest('hex');
+  // Keyed on the rendered prompt, so new rules, templates, languages or redactions never reuse an old verdict
+  getCacheKey(prompt, provider = this.provider, model = this.model) {
+    const text = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+    const hash = crypto.createHash('sha256').update(`${provider}:${model}\n${text}`).digest('hex');
     return hash.substring(0, 16);
   }
 
   getCache(key) {
+    const entry = this.getCacheEntry(key);
+    return entry ? entry.result : null;
+  }
+
+  getCacheEntry(key) {
     try {
       const cacheFile = path.join(CONFIG.FILES.CACHE_DIR, `${key}.json`);
       if (existsSync(cacheFile)) {
         const data = JSON.parse(readFileSync(cacheFile, 'utf8'));
-        if (Date.now() - data.timestamp < CONFIG.CACHE_DURATION) {
-          return data.result;
+        if (Date.now() - data.timestamp < this.cacheTtl) {
+          return {
+            result: data.result,
+            provider: data.provider || this.provider,
+            model: data.model || this.model
+          };
         }
       }
     } catch (error) {
@@ -523,7 +3500,7 @@ Focus on functionality, security, and maintainability over minor style preferenc
     return null;
   }
 
-  setCache(key, result) {
+  setCache(key, result, source = { provider: this.provider, model: this.model }) {
     try {
       const { mkdirSync, writeFileSync } = require('fs');
 
@@ -535,13 +3512,13 @@ Focus on functionality, security, and maintainability over minor style preferenc
       const cacheData = {
         result,
         timestamp: Date.now(),
-        provider: this.provider,
-        model: this.model
+        provider: source.provider,
+        model: source.model
       };
 
       writeFileSync(cacheFile, JSON.stringify(cacheData, null, 2));
     } catch (error) {
-      this._logWarning(`Could not write cache: ${error.message}`);
+      this._logWarning(this._t('cache.writeFailed', { error: error.message }));
     }
   }
 
@@ -563,97 +3540,363 @@ Focus on functionality, security, and maintainability over minor style preferenc
         return this._showHelp();
       }
 
-      if (!this.apiKey && this.provider !== 'ollama') {
-        this._logWarning('No AI API key found. Please set appropriate API key environment variable');
-        this._logInfo('Supported providers: OpenAI, Claude, Gemini, Cohere, Ollama');
-        this._storeReviewResult('ERROR');
+      if (process.argv.includes('--usage')) {
+        return this._showUsage();
+      }
+
+      if (this.loadProviders().length > 0) {
+        this._logError(this._t('config.invalid', { source: this.configSource }));
+        this.configErrors.forEach(error => this._print(chalk.red(`  - ${error}`)));
+        process.exit(1);
+        return;
+      }
+
+      if (!CONFIG.OUTPUT_FORMATS.includes(this.outputFormat)) {
+        this._logError(this._t('config.unknownFormat', { format: this.outputFormat, formats: CONFIG.OUTPUT_FORMATS.join(', ') }));
+        process.exit(2);
+        return;
+      }
+
+      const diffTargetError = this._validateDiffTarget();
+      if (diffTargetError) {
+        this._logError(diffTargetError);
+        process.exit(2);
+        return;
+      }
+
+      const invalidPolicies = this._parseFailurePolicyEnv().filter(entry => !entry.valid);
+      if (invalidPolicies.length > 0) {
+        this._logWarning(this._t('config.invalidFailurePolicy', {
+          value: invalidPolicies.map(entry => entry.item).join(', '),
+          values: CONFIG.FAILURE_POLICY.POLICIES.join(', '),
+          types: CONFIG.FAILURE_POLICY.TYPES.join(', ')
+        }));
+      }
+
+      const unknownPii = (process.env.AI_GUARD_PII || '').split(',').map(name => name.trim().toLowerCase())
+          .filter(name => name && !CONFIG.REDACTION.PII[name] && !['all', '0', 'false', 'no', 'off', 'none'].includes(name));
+      if (unknownPii.length > 0) {
+        this._logWarning(this._t('config.invalidPii', { value: unknownPii.join(', '), values: Object.keys(CONFIG.REDACTION.PII).join(', ') }));
+      }
+
+      // Runs before any provider is contacted so a leaked credential never leaves the machine
+      const secrets = this.scanForSecrets();
+      if (secrets.length > 0) {
+        this.reportSecrets(secrets);
+        process.exit(1);
+        return;
+      }
+
+      if (this.dryRun) {
+        return this.runDryRun();
+      }
+
+      // Only the commit-msg hook can record the reason, so CI runs never honor the override
+      if (this.overrideReason && this.diffTarget.mode !== 'staged') {
+        this._logWarning(this._t('override.notStaged'));
+      } else if (this.overrideReason) {
+        this._logWarning(this._t('override.applied', { reason: this.overrideReason, flag: CONFIG.COMMIT_FLAGS.OVERRIDDEN }));
+        this._storeReviewResult('OVERRIDDEN', this.overrideReason);
+        process.exit(0);
+        return;
+      }
+      if (this.overrideReason === '') {
+        this._logWarning(this._t('override.noReason'));
+      }
+
+      if (!this.providers.some(provider => this._hasCredentials(provider))) {
+        return this._handleMissingKeys();
+      }
+
+      if (this.prepareReview() === 'SKIP') {
+        this._storeReviewResult('BUDGET');
         process.exit(0);
         return;
       }
 
-      this._logInfo('🔍 Checking staged files...');
+      const envFailOn = process.env.AI_GUARD_FAIL_ON;
+      if (envFailOn && !CONFIG.SEVERITY_LEVELS.includes(envFailOn.trim().toLowerCase())) {
+        this._logWarning(this._t('config.invalidFailOn', { value: envFailOn, values: CONFIG.SEVERITY_LEVELS.join(', ') }));
+      }
+
+      if (this.diffTarget.mode === 'staged') {
+        this._logInfo(this._t('review.checkingStaged'));
+      } else {
+        this._logInfo(this._t('review.checkingTarget', { target: this.diffTarget.label }));
+      }
 
       const stagedFiles = this.getStagedFiles();
       if (stagedFiles.length === 0) {
-        this._logSuccess('No relevant files to review');
+        this._logSuccess(this._t('review.noRelevantFiles'));
         process.exit(0);
       }
 
-      this._logInfo(`📝 Reviewing ${stagedFiles.length} files using ${this.provider.toUpperCase()}...`);
+      const reviewers = this.consensus
+          ? this._getConsensusPanel().map(provider => provider.toUpperCase()).join(' + ')
+          : this.providers.map(provider => provider.toUpperCase()).join(' → ');
+      this._logInfo(this._t('review.reviewingFiles', { count: stagedFiles.length, reviewers }));
 
-      const changes = this.getChanges(stagedFiles);
-      if (!changes.trim()) {
-        this._logWarning('No meaningful changes to review');
+      const fileDiffs = this.getFileDiffs(stagedFiles);
+      if (fileDiffs.length === 0) {
+        this._logWarning(this._t('review.noChanges'));
         process.exit(0);
       }
+      this._logRedactions();
+
+      const rules = this.loadRules();
+      const budget = this.getChunkBudget(rules);
+      const chunks = this.buildChunks(fileDiffs, budget, this.getChunkGroupSize(fileDiffs, budget));
+      if (chunks.length > 1) {
+        const parallel = this.concurrency > 1 ? this._t('review.chunksParallel', { concurrency: this.concurrency }) : '';
+        this._logInfo(this._t('review.chunksSplit', { count: chunks.length, parallel }));
+      }
+
+      let review;
+      try {
+        this.deadline = Date.now() + this.getReviewBudget(chunks.length);
+        review = await this.reviewChunks(chunks, rules);
+      } catch (reviewError) {
+        if (this._isTimeoutError(reviewError)) {
+          this._logWarning(this._t('review.timedOut', { seconds: this.timeout/1000 }));
+          return this.handleFailure('timeout');
+        }
+        // The budget can narrow the chain to providers without a key, which is still a missing key and not an error
+        if (reviewError.code === 'ENOKEY') {
+          return this._handleMissingKeys();
+        }
+        throw reviewError;
+      }
 
-      const cacheKey = this.getCacheKey(changes);
-      let result = this.getCache(cacheKey);
+      this._logInfo(this._t('review.reviewedBy', { reviewers: this._describeReviewers(review) }));
 
-      if (result) {
-        this._logInfo('📦 Using cached result');
-      } else {
-        this._logAI(`Sending to ${this.provider.toUpperCase()} for review (timeout: ${this.timeout/1000}s)...`);
+      const evaluation = this.evaluateReview(review);
+      this.writeReport(review, evaluation);
 
-        try {
-          const rules = this.loadRules();
-          const prompt = this.createPrompt(changes, rules);
-          result = await this.callAI(prompt);
-          this.setCache(cacheKey, result);
-        } catch (timeoutError) {
-          if (timeoutError.message.includes('timeout')) {
-            this._logWarning(`AI review timed out after ${this.timeout/1000} seconds`);
-            this._storeReviewResult('TIMEOUT');
-            process.exit(0);
-            return;
-          }
-          throw timeoutError;
+      if (review.unreviewedFiles.length > 0) {
+        this._logWarning(this._t('review.unreviewedFiles', { count: review.unreviewedFiles.length, files: review.unreviewedFiles.join(', ') }));
+        // A rejection blocks anyway; otherwise the unreviewed files are a failure like any other
+        const reason = this._t('failure.partial', { reason: this._t(`failure.type.${review.failureType}`), count: review.unreviewedFiles.length });
+        if (evaluation.status !== 'REJECT' && !(await this.applyFailurePolicy(review.failureType, reason))) {
+          return;
         }
       }
+      const passedStatus = review.unreviewedFiles.length > 0 ? 'PARTIAL' : null;
 
-      if (result.toLowerCase().startsWith('reject')) {
-        this._logError('Code review failed!');
-        console.log(this._formatAIResponse(result.replace(/^reject/i, '').trim()));
+      if (evaluation.status === 'REJECT') {
+        this._logError(this._t('review.failed'));
+        if (this.failOn && evaluation.blocking.length > 0) {
+          this._logInfo(this._t('review.blocking', { count: evaluation.blocking.length, failOn: this.failOn }));
+        }
+        this._print(this._formatAIResponse(review));
         process.exit(1);
+      } else if (evaluation.status === 'WARNING') {
+        this._logWarning(this._t('review.passedWithWarnings'));
+        this._print(this._formatAIResponse(review));
+        this._storeReviewResult(passedStatus || 'WARNING');
+        process.exit(0);
       } else {
-        this._logSuccess('Code review passed!');
-        this._storeReviewResult('SUCCESS');
+        this._logSuccess(this._t('review.passed'));
+        if (review.findings.length > 0) {
+          this._print(this._formatAIResponse(review));
+        }
+        this._storeReviewResult(passedStatus || 'SUCCESS');
         process.exit(0);
       }
 
     } catch (error) {
-      this._logWarning(`Review failed: ${error.message}`);
-      this._storeReviewResult('ERROR');
+      this._logWarning(this._t('review.error', { error: error.message }));
+      return this.handleFailure('error');
+    }
+  }
+
+  _handleMissingKeys() {
+    this.providers.forEach(provider => this._logWarning(this._describeMissingKey(provider)));
+    this._logInfo(this._t('key.supportedProviders'));
+    return this.handleFailure('missingKey');
+  }
+
+  async handleFailure(type) {
+    this._writeFailureReport(type);
+    if (await this.applyFailurePolicy(type)) {
+      this._storeReviewResult(CONFIG.FAILURE_POLICY.RESULTS[type]);
+      process.exit(0);
+    }
+  }
+
+  // Resolves to true when the policy lets the commit through, otherwise blocks it
+  async applyFailurePolicy(type, reason = this._t(`failure.type.${type}`)) {
+    const policy = this.failurePolicy[type];
+    let allowed = policy === 'allow-with-flag';
+
+    if (policy === 'prompt') {
+      const answer = await this._confirm(this._t('failure.prompt', { reason }));
+      if (answer === null) {
+        this._logWarning(this._t('failure.noTerminal'));
+      }
+      allowed = answer === true;
+    }
+
+    if (allowed) {
+      return true;
+    }
+
+    // A result left over from an earlier run must not flag a commit that gets through with --no-verify
+    this._clearStoredReviewResult();
+    this._logError(this._t('failure.blocked', { reason, type, policy }));
+    process.exit(1);
+    return false;
+  }
+
+  // Git hooks usually get no stdin, so the question goes to the controlling terminal; null when there is none
+  _confirm(question) {
+    let input = process.stdin.isTTY ? process.stdin : null;
+    if (!input) {
+      try {
+        input = new tty.ReadStream(openSync('/dev/tty', 'r'));
+      } catch (error) {
+        return Promise.resolve(null);
+      }
+    }
+
+    const answers = this._t('failure.answers').split(',');
+    const prompt = readline.createInterface({ input, output: process.stderr });
+    return new Promise(resolve => {
+      prompt.question(question, answer => {
+        prompt.close();
+        if (input !== process.stdin) {
+          input.destroy();
+        }
+        resolve(answers.includes(answer.trim().toLowerCase()));
+      });
+    });
+  }
+
+  // Shared by real and dry runs, so a preview goes to the same panel and models as the review itself
+  prepareReview() {
+    const envConsensus = process.env.AI_GUARD_CONSENSUS?.trim().toLowerCase();
+    if (envConsensus && !CONFIG.CONSENSUS.POLICIES.includes(envConsensus) && envConsensus !== 'off' && envConsensus !== 'none') {
+      this._logWarning(this._t('config.invalidConsensus', { value: process.env.AI_GUARD_CONSENSUS, values: CONFIG.CONSENSUS.POLICIES.join(', ') }));
+    }
+
+    if (this.consensus && this._getConsensusPanel().length < CONFIG.CONSENSUS.MIN_PROVIDERS) {
+      this._logWarning(this._t('config.consensusTooFew', { count: CONFIG.CONSENSUS.MIN_PROVIDERS }));
+      this.consensus = null;
+    }
+
+    if (this.applyDailyBudget() === 'SKIP') {
+      return 'SKIP';
+    }
+
+    // Models may have changed for the budget, and a consensus panel gets every chunk, so size chunks for the final set
+    this.contextTokens = this._getContextTokens(this.consensus ? this._getConsensusPanel() : this.providers);
+    return null;
+  }
+
+  runDryRun() {
+    this._logInfo(this._t('dryRun.start'));
+    if (this.prepareReview() === 'SKIP') {
+      process.exit(0);
+      return;
+    }
+
+    const files = this.getStagedFiles();
+    const fileDiffs = this.getFileDiffs(files);
+    if (fileDiffs.length === 0) {
+      this._logSuccess(this._t('review.noRelevantFiles'));
       process.exit(0);
+      return;
+    }
+
+    const rules = this.loadRules();
+    const budget = this.getChunkBudget(rules);
+    const chunks = this.buildChunks(fileDiffs, budget, this.getChunkGroupSize(fileDiffs, budget));
+    // callAI starts with the first provider of the chain that has a key
+    const panel = this.consensus ? this._getConsensusPanel() : [this.providers.find(provider => this._isUsable(provider))];
+
+    const requests = [];
+    chunks.forEach((chunk, index) => {
+      const prompt = this.createPrompt(chunk.changes, rules, chunk.files);
+      panel.forEach(provider => {
+        const model = this._getModel(provider);
+        const request = this._buildRequest(provider, model, prompt, '[API_KEY]');
+        requests.push({
+          chunk: index + 1,
+          provider,
+          model,
+          url: this._maskUrl(request.url),
+          bytes: Buffer.byteLength(request.body ?? request.input),
+          sha256: this._hashPayload(request.body ?? request.input),
+          callInput: request.body === null,
+          tokens: this.estimateTokens(this.getPromptText(prompt)),
+          payload: JSON.parse(request.body ?? request.input)
+        });
+      });
+    });
+
+    this._logInfo(this._t('dryRun.summary', {
+      files: fileDiffs.length,
+      chunks: chunks.length,
+      requests: requests.length,
+      tokens: requests.reduce((sum, request) => sum + request.tokens, 0)
+    }));
+    this._logRedactions(true);
+
+    if (this.showPayload) {
+      const output = requests.map(({ payload, ...request }) =>
+        `### ${request.provider} (${request.model}) chunk ${request.chunk}/${chunks.length}` +
+        `\n# url: ${request.url || '-'}\n` +
+        `# sha256: ${request.sha256} (${request.bytes} bytes${request.callInput ? ', input to the provider\'s call()' : ''})\n` +
+        JSON.stringify(payload, null, 2)
+      ).join('\n\n') + '\n';
+
+      if (this.payloadFile) {
+        writeFileSync(this.payloadFile, output);
+        this._logSuccess(this._t('dryRun.payloadWritten', { file: this.payloadFile }));
+      } else {
+        process.stdout.write(output);
+      }
+    } else {
+      this._logInfo(this._t('dryRun.payloadHint'));
+    }
+
+    process.exit(0);
+  }
+
+  _logRedactions(always = false) {
+    const count = Object.values(this.redactions).reduce((sum, value) => sum + value, 0);
+    if (count > 0) {
+      this._logInfo(this._t('redaction.applied', { count, summary: this.getRedactionSummary() }));
+    } else if (always) {
+      this._logInfo(this._t('redaction.none'));
     }
   }
 
   _runSetup() {
     try {
-      console.log('🚀 Setting up AI Commit Guard hooks...\n');
+      console.log(this._t('setup.start'));
 
       try {
         execSync('git rev-parse --git-dir', { stdio: 'ignore' });
       } catch (error) {
-        console.log('❌ Not a git repository. Please run this in a git repository.');
-        console.log('💡 Initialize git first: git init');
+        console.log(this._t('setup.notGit'));
+        console.log(this._t('setup.gitInit'));
         process.exit(1);
       }
 
       if (!existsSync('.husky')) {
-        console.log('📦 Installing husky...');
+        console.log(this._t('setup.installingHusky'));
 
         if (!existsSync('package.json')) {
-          console.log('📝 Creating package.json...');
+          console.log(this._t('setup.creatingPackage'));
           execSync('npm init -y', { stdio: 'inherit' });
         }
 
         try {
           execSync('npm install --save-dev husky', { stdio: 'inherit' });
           execSync('npx husky init', { stdio: 'inherit' });
-          console.log('✅ Husky installed successfully\n');
+          console.log(this._t('setup.huskyInstalled'));
         } catch (error) {
-          console.log('⚠️  Could not install husky automatically. Please install manually:');
+          console.log(this._t('setup.huskyManual'));
           console.log('   npm install --save-dev husky');
           console.log('   npx husky init\n');
         }
@@ -663,7 +3906,7 @@ Focus on functionality, security, and maintainability over minor style preferenc
         mkdirSync('.husky', { recursive: true });
       }
 
-      console.log('🔍 Setting up pre-commit hook...');
+      console.log(this._t('setup.preCommit'));
       const preCommitHook = `npx ai-commit-guard`;
       writeFileSync('.husky/pre-commit', preCommitHook);
 
@@ -674,7 +3917,7 @@ Focus on functionality, security, and maintainability over minor style preferenc
         }
       }
 
-      console.log('📝 Setting up commit-msg hook...');
+      console.log(this._t('setup.commitMsg'));
       const commitMsgHook = `npx ai-commit-guard --commit-msg "$1"`;
       writeFileSync('.husky/commit-msg', commitMsgHook);
 
@@ -685,11 +3928,12 @@ Focus on functionality, security, and maintainability over minor style preferenc
         }
       }
 
-      console.log('📁 Updating .gitignore...');
+      console.log(this._t('setup.gitignore'));
       const gitignoreEntries = `
 # AI Commit Guard
 .ai-guard-cache/
 .ai-guard-result
+.ai-guard-usage.jsonl
 `;
 
       let gitignoreContent = '';
@@ -699,11 +3943,11 @@ Focus on functionality, security, and maintainability over minor style preferenc
 
       if (!gitignoreContent.includes('.ai-guard-cache/')) {
         appendFileSync('.gitignore', gitignoreEntries);
-        console.log('✅ Added AI Commit Guard entries to .gitignore');
+        console.log(this._t('setup.gitignoreUpdated'));
       }
 
       if (!existsSync('.ai-guard-ignore')) {
-        console.log('📋 Creating sample .ai-guard-ignore...');
+        console.log(this._t('setup.sampleIgnore'));
         const sampleIgnore = `# AI Commit Guard - Files to exclude from review
 
 # Sensitive files (automatically ignored by default)
@@ -728,7 +3972,7 @@ package-lock.json
       }
 
       if (!existsSync('.code-rules.md')) {
-        console.log('📜 Creating sample .code-rules.md...');
+        console.log(this._t('setup.sampleRules'));
         const sampleRules = `# Project Code Review Rules
 
 ## Code Quality
@@ -754,37 +3998,37 @@ package-lock.json
         writeFileSync('.code-rules.md', sampleRules);
       }
 
-      console.log('\n🎉 AI Commit Guard setup completed successfully!\n');
+      console.log(this._t('setup.done'));
 
-      console.log('📋 What happens now:');
-      console.log('  1. pre-commit: AI reviews your code changes');
-      console.log('  2. commit-msg: Adds appropriate flags to commit message\n');
+      console.log(this._t('setup.whatNow'));
+      console.log(this._t('setup.stepPreCommit'));
+      console.log(this._t('setup.stepCommitMsg'));
 
-      console.log('📁 Configuration files:');
-      console.log('  .code-rules.md       - Customize your coding standards');
-      console.log('  .ai-guard-ignore     - Exclude files from AI review\n');
+      console.log(this._t('setup.configFiles'));
+      console.log(this._t('setup.rulesFile'));
+      console.log(this._t('setup.ignoreFile'));
 
-      console.log('🔑 Set your AI API key:');
+      console.log(this._t('setup.apiKey'));
       console.log('  export OPENAI_API_KEY="sk-your-openai-key"');
-      console.log('  # or');
+      console.log(this._t('setup.or'));
       console.log('  export CLAUDE_API_KEY="sk-ant-your-claude-key"');
       console.log('  export AI_PROVIDER="claude"\n');
 
-      console.log('🚀 Try it now:');
+      console.log(this._t('setup.tryIt'));
       console.log('  git add .');
       console.log('  git commit -m "feat: your feature description"');
-      console.log('\n💡 Need help? Check the README.md for more configuration options.');
+      console.log(this._t('setup.help'));
 
       process.exit(0);
 
     } catch (error) {
-      console.error('❌ Setup failed:', error.message);
-      console.log('\n🔧 Manual setup instructions:');
-      console.log('1. Install husky: npm install --save-dev husky');
-      console.log('2. Initialize: npx husky init');
-      console.log('3. Add pre-commit hook: echo "npx ai-commit-guard" > .husky/pre-commit');
-      console.log('4. Add commit-msg hook: echo "npx ai-commit-guard --commit-msg \\$1" > .husky/commit-msg');
-      console.log('5. Set permissions: chmod +x .husky/*');
+      console.error(this._t('setup.failed'), error.message);
+      console.log(this._t('setup.manual'));
+      console.log(this._t('setup.manualInstall'));
+      console.log(this._t('setup.manualInit'));
+      console.log(this._t('setup.manualPreCommit'));
+      console.log(this._t('setup.manualCommitMsg'));
+      console.log(this._t('setup.manualChmod'));
       process.exit(1);
     }
   }
@@ -797,7 +4041,7 @@ package-lock.json
       }
 
       const currentMsg = readFileSync(commitMsgFile, 'utf8').trim();
-      const reviewResult = this._getStoredReviewResult();
+      const [reviewResult, reason] = (this._getStoredReviewResult() || '').split('\n');
 
       if (!reviewResult) {
         process.exit(0);
@@ -814,28 +4058,76 @@ package-lock.json
         case 'ERROR':
           flag = CONFIG.COMMIT_FLAGS.ERROR;
           break;
+        case 'WARNING':
+          flag = CONFIG.COMMIT_FLAGS.WARNING;
+          break;
+        case 'PARTIAL':
+          flag = CONFIG.COMMIT_FLAGS.PARTIAL;
+          break;
+        case 'BUDGET':
+          flag = CONFIG.COMMIT_FLAGS.BUDGET;
+          break;
+        case 'OVERRIDDEN':
+          flag = CONFIG.COMMIT_FLAGS.OVERRIDDEN;
+          break;
         default:
           process.exit(0);
       }
 
       if (!currentMsg.includes(`[${flag}]`)) {
-        const newMsg = `${currentMsg} [${flag}]`;
+        const newMsg = this._appendFlag(currentMsg, flag);
         writeFileSync(commitMsgFile, newMsg);
-        this._logInfo(`Added flag: [${flag}]`);
+        this._logInfo(this._t('commitMsg.flagAdded', { flag }));
+      }
+
+      if (reason) {
+        this._addTrailer(commitMsgFile, CONFIG.OVERRIDE.TRAILER, reason);
+        this._logInfo(this._t('commitMsg.reasonAdded', { trailer: CONFIG.OVERRIDE.TRAILER, reason }));
       }
 
       this._clearStoredReviewResult();
       process.exit(0);
 
     } catch (error) {
-      this._logWarning(`Could not handle commit message: ${error.message}`);
+      this._logWarning(this._t('commitMsg.failed', { error: error.message }));
       process.exit(0);
     }
   }
 
-  _storeReviewResult(result) {
+  // git strips the comment lines of an editor message, so the flag goes on the last line it keeps
+  _appendFlag(message, flag) {
+    const lines = message.split('\n');
+    const scissors = lines.findIndex(line => /^# -+ >8 -+$/.test(line));
+    let last = (scissors === -1 ? lines.length : scissors) - 1;
+    while (last >= 0 && (lines[last].startsWith('#') || !lines[last].trim())) {
+      last--;
+    }
+
+    if (last < 0) {
+      return `${message} [${flag}]`;
+    }
+    lines[last] = `${lines[last]} [${flag}]`;
+    return lines.join('\n');
+  }
+
+  // git places the trailer after existing ones and above the comment lines of the message template
+  _addTrailer(commitMsgFile, key, value) {
+    try {
+      execFileSync('git', ['interpret-trailers', '--in-place', '--trailer', `${key}: ${value}`, commitMsgFile], { stdio: 'ignore' });
+    } catch (error) {
+      const message = readFileSync(commitMsgFile, 'utf8').trimEnd();
+      writeFileSync(commitMsgFile, `${message}\n\n${key}: ${value}\n`);
+    }
+  }
+
+  _storeReviewResult(result, reason = null) {
+    // Commit flags only make sense for the local hook, CI runs rely on exit codes
+    if (this.diffTarget.mode !== 'staged') {
+      return;
+    }
+
     try {
-      writeFileSync('.ai-guard-result', result);
+      writeFileSync('.ai-guard-result', reason ? `${result}\n${reason}` : result);
     } catch (error) {
     }
   }
@@ -860,7 +4152,7 @@ package-lock.json
     }
   }
 
-  _showVersion() {
+  _getVersion() {
     const packagePath = path.join(__dirname, 'package.json');
     let version = '2.0.0';
 
@@ -872,63 +4164,93 @@ package-lock.json
     } catch (error) {
     }
 
+    return version;
+  }
+
+  _showVersion() {
+    const version = this._getVersion();
+
     console.log(`🤖 AI Commit Guard v${version}`);
-    console.log('Universal AI-powered pre-commit code review tool');
+    console.log(this._t('version.tagline'));
     console.log('');
-    console.log('Supported AI Providers:');
+    console.log(this._t('version.providers'));
     console.log('  • OpenAI GPT-4');
     console.log('  • Anthropic Claude');
     console.log('  • Google Gemini');
     console.log('  • Cohere Command');
-    console.log('  • Ollama (Local)');
+    console.log(`  • ${this._t('version.local')}`);
     console.log('');
-    console.log('More info: https://github.com/ademalkan/ai-commit-guard');
+    console.log(this._t('version.moreInfo', { url: 'https://github.com/ademalkan/ai-commit-guard' }));
     process.exit(0);
   }
 
   _showHelp() {
-    console.log('🤖 AI Commit Guard - Universal AI-powered code review tool');
+    const row = (name, key) => console.log(`  ${name.padEnd(20)}${name.length > 20 ? '  ' : ' '}${this._t(key)}`);
+    const envVars = [
+      'OPENAI_API_KEY', 'CLAUDE_API_KEY', 'GEMINI_API_KEY', 'COHERE_API_KEY', 'AI_API_KEY',
+      'AI_GUARD_KEY_COMMAND', 'AI_GUARD_KEY_FILE', 'AI_PROVIDER', 'AI_MODEL',
+      'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT', 'AZURE_OPENAI_API_VERSION',
+      'AI_GUARD_FIXTURES', 'AI_GUARD_RECORD',
+      'OPENAI_COMPATIBLE_BASE_URL', 'OPENAI_COMPATIBLE_API_KEY', 'OPENAI_COMPATIBLE_HEADERS',
+      'AI_GUARD_TIMEOUT', 'AI_GUARD_TOTAL_TIMEOUT', 'AI_GUARD_MAX_FILE_SIZE', 'AI_GUARD_CONTEXT_TOKENS', 'AI_GUARD_CONCURRENCY',
+      'AI_GUARD_STREAM', 'AI_GUARD_RETRY_COUNT', 'AI_GUARD_CONSENSUS',
+      'AI_GUARD_DAILY_BUDGET', 'AI_GUARD_BUDGET_ACTION', 'AI_GUARD_USAGE_FILE',
+      'AI_GUARD_FAIL_ON', 'AI_GUARD_SECRET_SCAN', 'AI_GUARD_CACHE_DURATION', 'AI_GUARD_RULES_FILE', 'AI_GUARD_PROMPT_TEMPLATE',
+      'AI_GUARD_LANGUAGE', 'AI_GUARD_AUDIT_LOG', 'AI_GUARD_PII', 'AI_GUARD_FAILURE_POLICY', 'AI_GUARD_SKIP'
+    ];
+
+    console.log(this._t('help.title'));
     console.log('');
-    console.log('USAGE:');
+    console.log(this._t('help.usage'));
     console.log('  ai-commit-guard [OPTIONS]');
     console.log('');
-    console.log('OPTIONS:');
-    console.log('  --setup              Setup AI Commit Guard hooks in current project');
-    console.log('  --commit-msg <file>  Handle commit message (used by git hooks)');
-    console.log('  --version, -v        Show version information');
-    console.log('  --help, -h           Show this help message');
+    console.log(this._t('help.options'));
+    row('--setup', 'help.option.setup');
+    row('--commit-msg <file>', 'help.option.commitMsg');
+    row('--range <base>..<head>', 'help.option.range');
+    row('--commit <sha>', 'help.option.commit');
+    row('--format <format>', 'help.option.format');
+    row('--output <file>', 'help.option.output');
+    row('--dry-run', 'help.option.dryRun');
+    row('--show-payload [file]', 'help.option.showPayload');
+    row('--usage [--days <n>]', 'help.option.usage');
+    row('--version, -v', 'help.option.version');
+    row('--help, -h', 'help.option.help');
     console.log('');
-    console.log('ENVIRONMENT VARIABLES:');
-    console.log('  OPENAI_API_KEY       OpenAI API key');
-    console.log('  CLAUDE_API_KEY       Anthropic Claude API key');
-    console.log('  GEMINI_API_KEY       Google Gemini API key');
-    console.log('  COHERE_API_KEY       Cohere API key');
-    console.log('  AI_PROVIDER          AI provider (openai|claude|gemini|cohere|ollama)');
-    console.log('  AI_MODEL             Specific model name to use');
-    console.log('  AI_GUARD_TIMEOUT     Review timeout in milliseconds (default: 30000)');
-    console.log('  AI_GUARD_MAX_FILE_SIZE  Max file size in bytes (default: 50000)');
+    console.log(this._t('help.environment'));
+    envVars.forEach(name => row(name, `help.env.${name}`));
     console.log('');
-    console.log('EXAMPLES:');
-    console.log('  # Setup in new project');
+    console.log(this._t('help.examples'));
+    console.log(`  ${this._t('help.example.setup')}`);
     console.log('  ai-commit-guard --setup');
     console.log('');
-    console.log('  # Set API key and commit');
+    console.log(`  ${this._t('help.example.commit')}`);
     console.log('  export OPENAI_API_KEY="sk-your-key"');
     console.log('  git add .');
     console.log('  git commit -m "feat: add new feature"');
     console.log('');
-    console.log('  # Use different AI provider');
+    console.log(`  ${this._t('help.example.provider')}`);
     console.log('  export CLAUDE_API_KEY="sk-ant-your-key"');
     console.log('  export AI_PROVIDER="claude"');
     console.log('');
-    console.log('  # Use local Ollama');
+    console.log(`  ${this._t('help.example.ci')}`);
+    console.log('  ai-commit-guard --range origin/main..HEAD');
+    console.log('');
+    console.log(`  ${this._t('help.example.ollama')}`);
     console.log('  export AI_PROVIDER="ollama"');
     console.log('');
-    console.log('CONFIGURATION FILES:');
-    console.log('  .code-rules.md       Custom coding rules and standards');
-    console.log('  .ai-guard-ignore     Files to exclude from AI review');
+    console.log(`  ${this._t('help.example.compatible')}`);
+    console.log('  export AI_PROVIDER="openai-compatible"');
+    console.log('  export OPENAI_COMPATIBLE_BASE_URL="http://localhost:8000/v1"');
     console.log('');
-    console.log('For more information, visit:');
+    console.log(this._t('help.files'));
+    row('.code-rules.md', 'help.file.rules');
+    row('.ai-guard-ignore', 'help.file.ignore');
+    row('.ai-guard.json', 'help.file.config');
+    row('.ai-guard-prompt.md', 'help.file.prompt');
+    row('.ai-guard-allowlist', 'help.file.allowlist');
+    console.log('');
+    console.log(this._t('help.moreInfo'));
     console.log('  https://github.com/ademalkan/ai-commit-guard');
     process.exit(0);
   }
@@ -971,7 +4293,7 @@ package-lock.json
 
       return null;
     } catch (error) {
-      this._logWarning(`Could not get commit message: ${error.message}`);
+      this._logWarning(this._t('commitMsg.unavailable', { error: error.message }));
       return null;
     }
   }
@@ -981,4 +4303,6 @@ if (require.main === module) {
   new AICommitGuard().run();
 }
 
+AICommitGuard.AI_PROVIDERS = AI_PROVIDERS;
+
 module.exports = AICommitGuard;
\ No newline at end of file
@@ -0,0 +1,714 @@
+const DEFAULT_LANGUAGE = 'en';
+
+// Names used when asking the model to answer in a language
+const LANGUAGE_NAMES = {
+  en: 'English',
+  tr: 'Turkish',
+  de: 'German'
+};
+
+const MESSAGES = {
+  en: {
+    'review.readFailed': 'Could not read {file}: {error}',
+    'review.ignoredFiles': '🔒 Ignored {count} binary/sensitive/excluded files',
+    'review.filesUnavailable': 'Could not get files for {target}',
+    'review.largeFile': '{file} is large ({size}KB), reviewing it hunk by hunk',
+    'review.diffUnavailable': 'Could not get diff for {file}: {error}',
+    'review.providerSkipped': '{reason} (skipping)',
+    'review.fallingBack': '{provider} failed ({error}), falling back to {next}...',
+    'review.retrying': '{provider} request failed ({error}), retrying in {delay}s ({attempt}/{retries})...',
+    'review.receiving': 'Receiving review...',
+    'review.chunkLabel': ' chunk {index}/{total}',
+    'review.chunkFailed': 'Review of {files} failed: {error}',
+    'review.usingCache': '📦 Using cached result{label} from {provider}',
+    'review.sending': 'Sending{label} to {provider} for review (timeout: {seconds}s)...',
+    'review.sendingConsensus': 'Sending{label} to {providers} for {policy} consensus review (timeout: {seconds}s)...',
+    'review.unstructured': 'AI response{label} did not follow the expected JSON format, falling back to keyword detection',
+    'review.noVote': '{provider} did not answer{label} and is left out of the vote: {error}',
+    'review.checkingStaged': '🔍 Checking staged files...',
+    'review.checkingTarget': '🔍 Checking files changed in {target}...',
+    'review.noRelevantFiles': 'No relevant files to review',
+    'review.reviewingFiles': '📝 Reviewing {count} files using {reviewers}...',
+    'review.noChanges': 'No meaningful changes to review',
+    'review.chunksSplit': '✂️  Changeset split into {count} chunks{parallel}',
+    'review.chunksParallel': ', reviewing up to {concurrency} at a time',
+    'review.timedOut': 'AI review timed out after {seconds} seconds',
+    'review.reviewedBy': '🧠 Reviewed by {reviewers}',
+    'review.unreviewedFiles': '{count} file(s) could not be reviewed: {files}',
+    'review.failed': 'Code review failed!',
+    'review.blocking': '{count} finding(s) at or above "{failOn}" severity block this commit',
+    'review.passedWithWarnings': 'Code review passed with warnings',
+    'review.passed': 'Code review passed!',
+    'review.error': 'Review failed: {error}',
+    'review.requestFailed': 'API request failed ({status}): {error}',
+    'review.unsupportedProvider': 'Unsupported AI provider: {provider}',
+    'consensus.summary': 'Consensus ({policy}): {verdict} - {votes}',
+    'consensus.approved': '{provider} approved',
+    'consensus.rejected': '{provider} rejected',
+    'target.invalidRange': 'Invalid range "{range}" - expected <base>..<head>',
+    'target.invalidRef': 'Invalid git reference "{ref}"',
+    'target.unknownRef': 'Unknown git reference "{ref}"',
+    'failure.type.missingKey': 'No AI provider API key is configured',
+    'failure.type.timeout': 'The AI review timed out',
+    'failure.type.error': 'The AI review could not be completed',
+    'failure.partial': '{reason} for {count} file(s)',
+    'failure.prompt': '{reason}. Commit without an AI review? [y/N] ',
+    'failure.answers': 'y,yes',
+    'failure.noTerminal': 'No terminal to ask for confirmation',
+    'failure.blocked': 'Commit blocked: {reason} (failure policy for {type}: {policy})',
+    'override.applied': 'AI review skipped with AI_GUARD_SKIP: "{reason}". The commit will be flagged [{flag}]',
+    'override.noReason': 'AI_GUARD_SKIP is empty, so the review runs as usual. Give a reason to skip it',
+    'override.notStaged': 'AI_GUARD_SKIP only applies to local commits, so the review runs as usual',
+    'finding.rule': 'Rule: {rule}',
+    'finding.fix': 'Fix: {fix}',
+    'finding.agreedBy': 'Agreed by: {agreement}',
+
+    'config.invalid': 'Invalid configuration in {source}:',
+    'config.unknownFormat': 'Unknown output format "{format}" (expected one of: {formats})',
+    'config.invalidConsensus': 'Ignoring invalid AI_GUARD_CONSENSUS "{value}" (expected one of: {values})',
+    'config.invalidPii': 'Unknown PII detector(s) in AI_GUARD_PII: {value} (use {values} or all)',
+    'config.invalidFailurePolicy': 'Ignoring invalid AI_GUARD_FAILURE_POLICY entries: {value} (use {values}, or <type>=<policy> for {types})',
+    'config.consensusTooFew': 'Consensus review needs at least {count} providers with API keys in AI_PROVIDER, reviewing with a single provider instead',
+    'config.invalidFailOn': 'Ignoring invalid AI_GUARD_FAIL_ON "{value}" (expected one of: {values})',
+    'config.invalidHeaders': 'OPENAI_COMPATIBLE_HEADERS must be a JSON object of header names and string values',
+    'config.azureEndpoint': 'Azure OpenAI endpoint is not configured: set AZURE_OPENAI_ENDPOINT or "azure.endpoint" in {file}',
+    'key.missing': 'No API key for {provider}: set {envNames}, or AI_GUARD_KEY_COMMAND / AI_GUARD_KEY_FILE',
+    'key.or': ' or ',
+    'key.noneAvailable': 'No AI provider with an API key is available',
+    'key.commandEmpty': 'command printed nothing',
+    'key.commandFailed': 'AI_GUARD_KEY_COMMAND failed for {provider}: {detail}',
+    'key.fileMissing': 'AI_GUARD_KEY_FILE for {provider} not found: {file}',
+    'key.fileEmpty': 'AI_GUARD_KEY_FILE for {provider} is empty: {file}',
+    'key.supportedProviders': 'Supported providers: OpenAI, Azure OpenAI, Claude, Gemini, Cohere, Ollama, OpenAI-compatible',
+
+    'secrets.found': 'Possible secrets in {count} place(s), commit blocked before any AI call:',
+    'secrets.summary': 'The local secret scanner found {count} possible secret(s) in the added lines.',
+    'secrets.message': '{name} detected: {preview} ({length} chars), fingerprint {fingerprint}',
+    'secrets.fix': 'Remove the value, rotate the credential and load it from the environment or a secret manager',
+    'secrets.allowlistHint': 'False positive? Add its fingerprint to {file} or "secretScan.allowlist" in the config',
+    'secrets.scanFailed': 'Could not scan for secrets: {error}',
+    'redaction.applied': 'Masked {count} sensitive value(s) before sending: {summary}',
+    'redaction.none': 'No sensitive values needed masking',
+    'dryRun.start': 'Dry run: building the review payload without contacting any AI provider',
+    'dryRun.summary': '{files} file(s) in {chunks} chunk(s) would be sent as {requests} request(s), about {tokens} prompt tokens',
+    'dryRun.payloadWritten': 'Payload written to {file}',
+    'dryRun.payloadHint': 'Add --show-payload [file] to see the exact request bodies',
+    'audit.writeFailed': 'Could not write the audit log {file}: {error}',
+
+    'template.notFound': 'Prompt template {file} not found, using the built-in prompt',
+    'template.unreadable': 'Could not read prompt template {file}: {error}, using the built-in prompt',
+    'template.unknownPlaceholders': 'Prompt template {file} uses unknown placeholders: {unknown} (available: {available})',
+    'template.noChanges': 'Prompt template {file} has no {{changes}} placeholder, appending the changes to the end',
+
+    'fixture.recorded': '📼 Recorded fixture {file}',
+    'fixture.failed': 'Could not record fixture: {error}',
+    'report.written': '📄 Wrote {format} report to {file}',
+    'report.failed': 'Could not write {format} report: {error}',
+    'cache.writeFailed': 'Could not write cache: {error}',
+    'commitMsg.flagAdded': 'Added flag: [{flag}]',
+    'commitMsg.reasonAdded': 'Recorded {trailer}: {reason}',
+    'commitMsg.failed': 'Could not handle commit message: {error}',
+    'commitMsg.unavailable': 'Could not get commit message: {error}',
+
+    'budget.reached': 'Daily budget of ${budget} reached (${spent} spent today)',
+    'budget.skipping': '{reached}, skipping AI review',
+    'budget.noCheaperModel': '{reached} and no cheaper model is configured, skipping AI review',
+    'budget.switching': '{reached}, switching to {models}',
+
+    'usage.title': '💰 AI Commit Guard usage - last {days} days ({file})',
+    'usage.empty': 'No AI calls recorded yet.',
+    'usage.date': 'Date',
+    'usage.provider': 'Provider',
+    'usage.model': 'Model',
+    'usage.calls': 'Calls',
+    'usage.input': 'Input',
+    'usage.output': 'Output',
+    'usage.cost': 'Cost',
+    'usage.total': 'Total: ${total} over {calls} calls',
+    'usage.today': 'Today: ${spent}{budget}',
+    'usage.budget': ' of ${budget} daily budget',
+    'usage.estimated': '~ token counts estimated from text length where the provider did not report usage',
+
+    'version.tagline': 'Universal AI-powered pre-commit code review tool',
+    'version.providers': 'Supported AI Providers:',
+    'version.local': 'Ollama (Local)',
+    'version.moreInfo': 'More info: {url}',
+
+    'help.title': '🤖 AI Commit Guard - Universal AI-powered code review tool',
+    'help.usage': 'USAGE:',
+    'help.options': 'OPTIONS:',
+    'help.environment': 'ENVIRONMENT VARIABLES:',
+    'help.examples': 'EXAMPLES:',
+    'help.files': 'CONFIGURATION FILES:',
+    'help.moreInfo': 'For more information, visit:',
+    'help.option.setup': 'Setup AI Commit Guard hooks in current project',
+    'help.option.commitMsg': 'Handle commit message (used by git hooks)',
+    'help.option.range': 'Review the diff between two refs (CI mode)',
+    'help.option.commit': 'Review the changes introduced by a single commit (CI mode)',
+    'help.option.format': 'Report format (text|json|sarif|junit|markdown)',
+    'help.option.output': 'Write the report to a file instead of stdout',
+    'help.option.dryRun': 'Build the review payload without calling any provider',
+    'help.option.showPayload': 'Print the exact request bodies, or write them to a file (implies --dry-run)',
+    'help.option.usage': 'Show token usage and estimated cost per provider, model and day',
+    'help.option.version': 'Show version information',
+    'help.option.help': 'Show this help message',
+    'help.env.OPENAI_API_KEY': 'OpenAI API key',
+    'help.env.CLAUDE_API_KEY': 'Anthropic Claude API key',
+    'help.env.GEMINI_API_KEY': 'Google Gemini API key',
+    'help.env.COHERE_API_KEY': 'Cohere API key',
+    'help.env.AI_API_KEY': 'Generic API key used when no provider-specific key is set',
+    'help.env.AI_GUARD_KEY_COMMAND': 'Command that prints the API key, e.g. "op read op://dev/{provider}/key"',
+    'help.env.AI_GUARD_KEY_FILE': 'File containing the API key, e.g. ~/.config/ai-guard/{provider}.key',
+    'help.env.AI_PROVIDER': 'AI provider, or a fallback list like "claude,openai,ollama"',
+    'help.env.AI_MODEL': 'Specific model name to use',
+    'help.env.AZURE_OPENAI_API_KEY': 'Azure OpenAI API key',
+    'help.env.AZURE_OPENAI_ENDPOINT': 'Azure OpenAI resource endpoint, e.g. https://my-resource.openai.azure.com',
+    'help.env.AZURE_OPENAI_DEPLOYMENT': 'Azure deployment name (default: the model name)',
+    'help.env.AZURE_OPENAI_API_VERSION': 'Azure OpenAI api-version (default: 2024-02-01)',
+    'help.env.AI_GUARD_FIXTURES': 'Fixtures directory for the mock provider (default: .ai-guard-fixtures)',
+    'help.env.AI_GUARD_RECORD': 'Save every prompt/response pair to the fixtures directory',
+    'help.env.OPENAI_COMPATIBLE_BASE_URL': 'Base URL of an OpenAI-compatible server (vLLM, LM Studio, llama.cpp)',
+    'help.env.OPENAI_COMPATIBLE_API_KEY': 'Optional API key for the OpenAI-compatible server',
+    'help.env.OPENAI_COMPATIBLE_HEADERS': 'Extra request headers as JSON, e.g. \'{"X-Team": "core"}\'',
+    'help.env.AI_GUARD_TIMEOUT': 'Review timeout in milliseconds (default: 30000)',
+    'help.env.AI_GUARD_TOTAL_TIMEOUT': 'Budget for the whole review in milliseconds (default: one timeout per chunk round and fallback provider)',
+    'help.env.AI_GUARD_MAX_FILE_SIZE': 'Diff size in bytes above which a file is split into hunks (default: 50000)',
+    'help.env.AI_GUARD_CONTEXT_TOKENS': 'Override the model context window used for chunking',
+    'help.env.AI_GUARD_CONCURRENCY': 'Number of chunks reviewed in parallel (default: 1)',
+    'help.env.AI_GUARD_STREAM': 'Stream responses and show findings as they arrive (OpenAI, Claude, Ollama, Azure, OpenAI-compatible)',
+    'help.env.AI_GUARD_RETRY_COUNT': 'Retries for 429/5xx/network errors within the timeout (default: 2)',
+    'help.env.AI_GUARD_CONSENSUS': 'Review with every provider in AI_PROVIDER and combine verdicts (any-reject|majority|all-reject)',
+    'help.env.AI_GUARD_DAILY_BUDGET': 'Daily spend limit in USD across all reviews',
+    'help.env.AI_GUARD_BUDGET_ACTION': 'What to do over budget (cheaper-model|skip, default: cheaper-model)',
+    'help.env.AI_GUARD_USAGE_FILE': 'Usage ledger path (default: .ai-guard-usage.jsonl)',
+    'help.env.AI_GUARD_FAIL_ON': 'Lowest severity that blocks a commit (critical|high|medium|low|info)',
+    'help.env.AI_GUARD_SECRET_SCAN': 'Block commits that add secrets before any AI call (default: on)',
+    'help.env.AI_GUARD_CACHE_DURATION': 'Cache lifetime in milliseconds (default: 86400000)',
+    'help.env.AI_GUARD_RULES_FILE': 'Path to the rules file (default: .code-rules.md)',
+    'help.env.AI_GUARD_PROMPT_TEMPLATE': 'Path to a prompt template (default: .ai-guard-prompt.md if present)',
+    'help.env.AI_GUARD_LANGUAGE': 'Language of the review feedback and tool messages (en|tr|de, default: en)',
+    'help.env.AI_GUARD_AUDIT_LOG': 'Append a hash of every payload sent to a provider to this file',
+    'help.env.AI_GUARD_PII': 'Mask personal data before sending (email,iban,phone,hostname|all, default: off)',
+    'help.env.AI_GUARD_FAILURE_POLICY': 'What to do when the review cannot run (allow-with-flag|block|prompt, or timeout=block,...)',
+    'help.env.AI_GUARD_SKIP': 'Skip the AI review with a reason, recorded as a commit trailer',
+    'help.example.setup': '# Setup in new project',
+    'help.example.commit': '# Set API key and commit',
+    'help.example.provider': '# Use different AI provider',
+    'help.example.ci': '# Review a pull request in CI',
+    'help.example.ollama': '# Use local Ollama',
+    'help.example.compatible': '# Use a self-hosted OpenAI-compatible server',
+    'help.file.rules': 'Custom coding rules and standards',
+    'help.file.ignore': 'Files to exclude from AI review',
+    'help.file.config': 'Shared settings (or "aiCommitGuard" in package.json)',
+    'help.file.prompt': 'Custom prompt template with {{placeholders}}',
+    'help.file.allowlist': 'Fingerprints of accepted secret-scan findings, one per line',
+
+    'setup.start': '🚀 Setting up AI Commit Guard hooks...\n',
+    'setup.notGit': '❌ Not a git repository. Please run this in a git repository.',
+    'setup.gitInit': '💡 Initialize git first: git init',
+    'setup.installingHusky': '📦 Installing husky...',
+    'setup.creatingPackage': '📝 Creating package.json...',
+    'setup.huskyInstalled': '✅ Husky installed successfully\n',
+    'setup.huskyManual': '⚠️  Could not install husky automatically. Please install manually:',
+    'setup.preCommit': '🔍 Setting up pre-commit hook...',
+    'setup.commitMsg': '📝 Setting up commit-msg hook...',
+    'setup.gitignore': '📁 Updating .gitignore...',
+    'setup.gitignoreUpdated': '✅ Added AI Commit Guard entries to .gitignore',
+    'setup.sampleIgnore': '📋 Creating sample .ai-guard-ignore...',
+    'setup.sampleRules': '📜 Creating sample .code-rules.md...',
+    'setup.done': '\n🎉 AI Commit Guard setup completed successfully!\n',
+    'setup.whatNow': '📋 What happens now:',
+    'setup.stepPreCommit': '  1. pre-commit: AI reviews your code changes',
+    'setup.stepCommitMsg': '  2. commit-msg: Adds appropriate flags to commit message\n',
+    'setup.configFiles': '📁 Configuration files:',
+    'setup.rulesFile': '  .code-rules.md       - Customize your coding standards',
+    'setup.ignoreFile': '  .ai-guard-ignore     - Exclude files from AI review\n',
+    'setup.apiKey': '🔑 Set your AI API key:',
+    'setup.or': '  # or',
+    'setup.tryIt': '🚀 Try it now:',
+    'setup.help': '\n💡 Need help? Check the README.md for more configuration options.',
+    'setup.failed': '❌ Setup failed:',
+    'setup.manual': '\n🔧 Manual setup instructions:',
+    'setup.manualInstall': '1. Install husky: npm install --save-dev husky',
+    'setup.manualInit': '2. Initialize: npx husky init',
+    'setup.manualPreCommit': '3. Add pre-commit hook: echo "npx ai-commit-guard" > .husky/pre-commit',
+    'setup.manualCommitMsg': '4. Add commit-msg hook: echo "npx ai-commit-guard --commit-msg \\$1" > .husky/commit-msg',
+    'setup.manualChmod': '5. Set permissions: chmod +x .husky/*'
+  },
+
+  tr: {
+    'review.readFailed': '{file} okunamadı: {error}',
+    'review.ignoredFiles': '🔒 {count} ikili/hassas/hariç tutulan dosya yok sayıldı',
+    'review.filesUnavailable': '{target} için dosyalar alınamadı',
+    'review.largeFile': '{file} büyük ({size}KB), parça parça inceleniyor',
+    'review.diffUnavailable': '{file} için diff alınamadı: {error}',
+    'review.providerSkipped': '{reason} (atlanıyor)',
+    'review.fallingBack': '{provider} başarısız oldu ({error}), {next} sağlayıcısına geçiliyor...',
+    'review.retrying': '{provider} isteği başarısız oldu ({error}), {delay} sn sonra tekrar denenecek ({attempt}/{retries})...',
+    'review.receiving': 'İnceleme alınıyor...',
+    'review.chunkLabel': ' (parça {index}/{total})',
+    'review.chunkFailed': '{files} incelemesi başarısız oldu: {error}',
+    'review.usingCache': '📦 {provider} tarafından önbelleğe alınmış sonuç kullanılıyor{label}',
+    'review.sending': 'Değişiklikler{label} incelenmek üzere {provider} sağlayıcısına gönderiliyor (zaman aşımı: {seconds} sn)...',
+    'review.sendingConsensus': 'Değişiklikler{label} {policy} uzlaşı incelemesi için {providers} sağlayıcılarına gönderiliyor (zaman aşımı: {seconds} sn)...',
+    'review.unstructured': 'Yapay zekâ yanıtı{label} beklenen JSON biçimine uymadı, anahtar kelime tespitine geçiliyor',
+    'review.noVote': '{provider} yanıt vermedi{label} ve oylamaya katılmıyor: {error}',
+    'review.checkingStaged': '🔍 Hazırlanan (staged) dosyalar kontrol ediliyor...',
+    'review.checkingTarget': '🔍 {target} içinde değişen dosyalar kontrol ediliyor...',
+    'review.noRelevantFiles': 'İncelenecek ilgili dosya yok',
+    'review.reviewingFiles': '📝 {count} dosya {reviewers} ile inceleniyor...',
+    'review.noChanges': 'İncelenecek anlamlı bir değişiklik yok',
+    'review.chunksSplit': '✂️  Değişiklikler {count} parçaya bölündü{parallel}',
+    'review.chunksParallel': ', aynı anda en fazla {concurrency} parça inceleniyor',
+    'review.timedOut': 'Yapay zekâ incelemesi {seconds} saniye sonra zaman aşımına uğradı',
+    'review.reviewedBy': '🧠 İnceleyen: {reviewers}',
+    'review.unreviewedFiles': '{count} dosya incelenemedi: {files}',
+    'review.failed': 'Kod incelemesi başarısız!',
+    'review.blocking': '"{failOn}" veya daha yüksek önem derecesindeki {count} bulgu bu commit\'i engelliyor',
+    'review.passedWithWarnings': 'Kod incelemesi uyarılarla geçti',
+    'review.passed': 'Kod incelemesi geçti!',
+    'review.error': 'İnceleme başarısız oldu: {error}',
+    'review.requestFailed': 'API isteği başarısız oldu ({status}): {error}',
+    'review.unsupportedProvider': 'Desteklenmeyen yapay zekâ sağlayıcısı: {provider}',
+    'consensus.summary': 'Uzlaşı ({policy}): {verdict} - {votes}',
+    'consensus.approved': '{provider} onayladı',
+    'consensus.rejected': '{provider} reddetti',
+    'target.invalidRange': 'Geçersiz aralık "{range}" - <base>..<head> bekleniyor',
+    'target.invalidRef': 'Geçersiz git referansı "{ref}"',
+    'target.unknownRef': 'Bilinmeyen git referansı "{ref}"',
+    'failure.type.missingKey': 'Hiçbir yapay zekâ sağlayıcısı için API anahtarı ayarlanmamış',
+    'failure.type.timeout': 'Yapay zekâ incelemesi zaman aşımına uğradı',
+    'failure.type.error': 'Yapay zekâ incelemesi tamamlanamadı',
+    'failure.partial': '{count} dosya için: {reason}',
+    'failure.prompt': '{reason}. Yapay zekâ incelemesi olmadan commit edilsin mi? [e/H] ',
+    'failure.answers': 'e,evet,y,yes',
+    'failure.noTerminal': 'Onay istenebilecek bir terminal yok',
+    'failure.blocked': 'Commit engellendi: {reason} ({type} için hata politikası: {policy})',
+    'override.applied': 'Yapay zekâ incelemesi AI_GUARD_SKIP ile atlandı: "{reason}". Commit [{flag}] ile etiketlenecek',
+    'override.noReason': 'AI_GUARD_SKIP boş olduğu için inceleme her zamanki gibi çalışıyor. Atlamak için bir gerekçe verin',
+    'override.notStaged': 'AI_GUARD_SKIP yalnızca yerel commit\'lerde geçerlidir, inceleme her zamanki gibi çalışıyor',
+    'finding.rule': 'Kural: {rule}',
+    'finding.fix': 'Çözüm: {fix}',
+    'finding.agreedBy': 'Hemfikir olanlar: {agreement}',
+
+    'config.invalid': '{source} içinde geçersiz yapılandırma:',
+    'config.unknownFormat': 'Bilinmeyen çıktı biçimi "{format}" (beklenen: {formats})',
+    'config.invalidConsensus': 'Geçersiz AI_GUARD_CONSENSUS "{value}" yok sayılıyor (beklenen: {values})',
+    'config.invalidPii': 'AI_GUARD_PII içinde bilinmeyen kişisel veri algılayıcısı: {value} ({values} ya da all kullanın)',
+    'config.invalidFailurePolicy': 'Geçersiz AI_GUARD_FAILURE_POLICY girdileri yok sayılıyor: {value} ({values} kullanın ya da {types} için <tür>=<politika>)',
+    'config.consensusTooFew': 'Uzlaşı incelemesi için AI_PROVIDER içinde API anahtarı olan en az {count} sağlayıcı gerekir, tek sağlayıcıyla inceleniyor',
+    'config.invalidFailOn': 'Geçersiz AI_GUARD_FAIL_ON "{value}" yok sayılıyor (beklenen: {values})',
+    'config.invalidHeaders': 'OPENAI_COMPATIBLE_HEADERS, başlık adlarından ve metin değerlerinden oluşan bir JSON nesnesi olmalı',
+    'config.azureEndpoint': 'Azure OpenAI uç noktası ayarlanmamış: AZURE_OPENAI_ENDPOINT ya da {file} içinde "azure.endpoint" ayarlayın',
+    'key.missing': '{provider} için API anahtarı yok: {envNames} ya da AI_GUARD_KEY_COMMAND / AI_GUARD_KEY_FILE ayarlayın',
+    'key.or': ' ya da ',
+    'key.noneAvailable': 'API anahtarı olan bir yapay zekâ sağlayıcısı yok',
+    'key.commandEmpty': 'komut hiçbir şey yazdırmadı',
+    'key.commandFailed': '{provider} için AI_GUARD_KEY_COMMAND başarısız oldu: {detail}',
+    'key.fileMissing': '{provider} için AI_GUARD_KEY_FILE bulunamadı: {file}',
+    'key.fileEmpty': '{provider} için AI_GUARD_KEY_FILE boş: {file}',
+    'key.supportedProviders': 'Desteklenen sağlayıcılar: OpenAI, Azure OpenAI, Claude, Gemini, Cohere, Ollama, OpenAI uyumlu',
+
+    'secrets.found': '{count} yerde olası gizli bilgi bulundu, commit herhangi bir yapay zekâ çağrısından önce engellendi:',
+    'secrets.summary': 'Yerel gizli bilgi tarayıcısı eklenen satırlarda {count} olası gizli bilgi buldu.',
+    'secrets.message': '{name} tespit edildi: {preview} ({length} karakter), parmak izi {fingerprint}',
+    'secrets.fix': 'Değeri kaldırın, kimlik bilgisini yenileyin ve ortam değişkeninden ya da bir gizli bilgi yöneticisinden okuyun',
+    'secrets.allowlistHint': 'Yanlış alarm mı? Parmak izini {file} dosyasına ya da yapılandırmadaki "secretScan.allowlist" listesine ekleyin',
+    'secrets.scanFailed': 'Gizli bilgi taraması yapılamadı: {error}',
+    'redaction.applied': 'Gönderimden önce {count} hassas değer maskelendi: {summary}',
+    'redaction.none': 'Maskelenmesi gereken hassas değer yok',
+    'dryRun.start': 'Deneme çalıştırması: inceleme içeriği hiçbir yapay zekâ sağlayıcısına bağlanmadan hazırlanıyor',
+    'dryRun.summary': '{chunks} parçadaki {files} dosya {requests} istek olarak gönderilecekti, yaklaşık {tokens} prompt token\'ı',
+    'dryRun.payloadWritten': 'İstek içeriği {file} dosyasına yazıldı',
+    'dryRun.payloadHint': 'İsteklerin tam içeriğini görmek için --show-payload [dosya] ekleyin',
+    'audit.writeFailed': '{file} denetim kaydı yazılamadı: {error}',
+
+    'template.notFound': 'İstem şablonu {file} bulunamadı, yerleşik istem kullanılıyor',
+    'template.unreadable': 'İstem şablonu {file} okunamadı: {error}, yerleşik istem kullanılıyor',
+    'template.unknownPlaceholders': 'İstem şablonu {file} bilinmeyen yer tutucular içeriyor: {unknown} (kullanılabilir: {available})',
+    'template.noChanges': 'İstem şablonu {file} içinde {{changes}} yer tutucusu yok, değişiklikler sona ekleniyor',
+
+    'fixture.recorded': '📼 Fixture kaydedildi: {file}',
+    'fixture.failed': 'Fixture kaydedilemedi: {error}',
+    'report.written': '📄 {format} raporu {file} dosyasına yazıldı',
+    'report.failed': '{format} raporu yazılamadı: {error}',
+    'cache.writeFailed': 'Önbellek yazılamadı: {error}',
+    'commitMsg.flagAdded': 'Etiket eklendi: [{flag}]',
+    'commitMsg.reasonAdded': '{trailer} kaydedildi: {reason}',
+    'commitMsg.failed': 'Commit mesajı işlenemedi: {error}',
+    'commitMsg.unavailable': 'Commit mesajı alınamadı: {error}',
+
+    'budget.reached': '${budget} günlük bütçeye ulaşıldı (bugün ${spent} harcandı)',
+    'budget.skipping': '{reached}, yapay zekâ incelemesi atlanıyor',
+    'budget.noCheaperModel': '{reached} ve daha ucuz bir model yapılandırılmamış, yapay zekâ incelemesi atlanıyor',
+    'budget.switching': '{reached}, şuna geçiliyor: {models}',
+
+    'usage.title': '💰 AI Commit Guard kullanımı - son {days} gün ({file})',
+    'usage.empty': 'Henüz kayıtlı yapay zekâ çağrısı yok.',
+    'usage.date': 'Tarih',
+    'usage.provider': 'Sağlayıcı',
+    'usage.model': 'Model',
+    'usage.calls': 'Çağrı',
+    'usage.input': 'Girdi',
+    'usage.output': 'Çıktı',
+    'usage.cost': 'Maliyet',
+    'usage.total': 'Toplam: {calls} çağrıda ${total}',
+    'usage.today': 'Bugün: ${spent}{budget}',
+    'usage.budget': ' / ${budget} günlük bütçe',
+    'usage.estimated': '~ sağlayıcının kullanım bildirmediği yerlerde token sayıları metin uzunluğundan tahmin edildi',
+
+    'version.tagline': 'Evrensel yapay zekâ destekli pre-commit kod inceleme aracı',
+    'version.providers': 'Desteklenen yapay zekâ sağlayıcıları:',
+    'version.local': 'Ollama (Yerel)',
+    'version.moreInfo': 'Daha fazla bilgi: {url}',
+
+    'help.title': '🤖 AI Commit Guard - Evrensel yapay zekâ destekli kod inceleme aracı',
+    'help.usage': 'KULLANIM:',
+    'help.options': 'SEÇENEKLER:',
+    'help.environment': 'ORTAM DEĞİŞKENLERİ:',
+    'help.examples': 'ÖRNEKLER:',
+    'help.files': 'YAPILANDIRMA DOSYALARI:',
+    'help.moreInfo': 'Daha fazla bilgi için:',
+    'help.option.setup': 'Geçerli projede AI Commit Guard hook\'larını kurar',
+    'help.option.commitMsg': 'Commit mesajını işler (git hook\'ları tarafından kullanılır)',
+    'help.option.range': 'İki referans arasındaki diff\'i inceler (CI modu)',
+    'help.option.commit': 'Tek bir commit\'in getirdiği değişiklikleri inceler (CI modu)',
+    'help.option.format': 'Rapor biçimi (text|json|sarif|junit|markdown)',
+    'help.option.output': 'Raporu stdout yerine bir dosyaya yazar',
+    'help.option.dryRun': 'İnceleme içeriğini hiçbir sağlayıcıyı çağırmadan hazırlar',
+    'help.option.showPayload': 'İsteklerin tam içeriğini yazdırır ya da bir dosyaya yazar (--dry-run içerir)',
+    'help.option.usage': 'Sağlayıcı, model ve güne göre token kullanımını ve tahmini maliyeti gösterir',
+    'help.option.version': 'Sürüm bilgisini gösterir',
+    'help.option.help': 'Bu yardım mesajını gösterir',
+    'help.env.OPENAI_API_KEY': 'OpenAI API anahtarı',
+    'help.env.CLAUDE_API_KEY': 'Anthropic Claude API anahtarı',
+    'help.env.GEMINI_API_KEY': 'Google Gemini API anahtarı',
+    'help.env.COHERE_API_KEY': 'Cohere API anahtarı',
+    'help.env.AI_API_KEY': 'Sağlayıcıya özel anahtar yoksa kullanılan genel API anahtarı',
+    'help.env.AI_GUARD_KEY_COMMAND': 'API anahtarını yazdıran komut, ör. "op read op://dev/{provider}/key"',
+    'help.env.AI_GUARD_KEY_FILE': 'API anahtarını içeren dosya, ör. ~/.config/ai-guard/{provider}.key',
+    'help.env.AI_PROVIDER': 'Yapay zekâ sağlayıcısı ya da "claude,openai,ollama" gibi bir yedek listesi',
+    'help.env.AI_MODEL': 'Kullanılacak model adı',
+    'help.env.AZURE_OPENAI_API_KEY': 'Azure OpenAI API anahtarı',
+    'help.env.AZURE_OPENAI_ENDPOINT': 'Azure OpenAI kaynak adresi, ör. https://my-resource.openai.azure.com',
+    'help.env.AZURE_OPENAI_DEPLOYMENT': 'Azure dağıtım adı (varsayılan: model adı)',
+    'help.env.AZURE_OPENAI_API_VERSION': 'Azure OpenAI api-version (varsayılan: 2024-02-01)',
+    'help.env.AI_GUARD_FIXTURES': 'mock sağlayıcısı için fixture dizini (varsayılan: .ai-guard-fixtures)',
+    'help.env.AI_GUARD_RECORD': 'Her istem/yanıt çiftini fixture dizinine kaydeder',
+    'help.env.OPENAI_COMPATIBLE_BASE_URL': 'OpenAI uyumlu sunucunun temel adresi (vLLM, LM Studio, llama.cpp)',
+    'help.env.OPENAI_COMPATIBLE_API_KEY': 'OpenAI uyumlu sunucu için isteğe bağlı API anahtarı',
+    'help.env.OPENAI_COMPATIBLE_HEADERS': 'JSON olarak ek istek başlıkları, ör. \'{"X-Team": "core"}\'',
+    'help.env.AI_GUARD_TIMEOUT': 'Milisaniye cinsinden inceleme zaman aşımı (varsayılan: 30000)',
+    'help.env.AI_GUARD_TOTAL_TIMEOUT': 'Tüm inceleme için milisaniye cinsinden süre bütçesi (varsayılan: her parça turu ve yedek sağlayıcı için bir zaman aşımı)',
+    'help.env.AI_GUARD_MAX_FILE_SIZE': 'Bir dosyanın parçalara bölündüğü bayt cinsinden diff boyutu (varsayılan: 50000)',
+    'help.env.AI_GUARD_CONTEXT_TOKENS': 'Parçalamada kullanılan model bağlam penceresini geçersiz kılar',
+    'help.env.AI_GUARD_CONCURRENCY': 'Paralel incelenen parça sayısı (varsayılan: 1)',
+    'help.env.AI_GUARD_STREAM': 'Yanıtları akış olarak alır ve bulguları geldikçe gösterir (OpenAI, Claude, Ollama, Azure, OpenAI uyumlu)',
+    'help.env.AI_GUARD_RETRY_COUNT': 'Zaman aşımı içinde 429/5xx/ağ hataları için yeniden deneme sayısı (varsayılan: 2)',
+    'help.env.AI_GUARD_CONSENSUS': 'AI_PROVIDER içindeki her sağlayıcıyla inceler ve kararları birleştirir (any-reject|majority|all-reject)',
+    'help.env.AI_GUARD_DAILY_BUDGET': 'Tüm incelemeler için USD cinsinden günlük harcama sınırı',
+    'help.env.AI_GUARD_BUDGET_ACTION': 'Bütçe aşıldığında yapılacak işlem (cheaper-model|skip, varsayılan: cheaper-model)',
+    'help.env.AI_GUARD_USAGE_FILE': 'Kullanım kaydı dosyası (varsayılan: .ai-guard-usage.jsonl)',
+    'help.env.AI_GUARD_FAIL_ON': 'Commit\'i engelleyen en düşük önem derecesi (critical|high|medium|low|info)',
+    'help.env.AI_GUARD_SECRET_SCAN': 'Gizli bilgi ekleyen commit\'leri yapay zekâ çağrısından önce engeller (varsayılan: açık)',
+    'help.env.AI_GUARD_CACHE_DURATION': 'Milisaniye cinsinden önbellek ömrü (varsayılan: 86400000)',
+    'help.env.AI_GUARD_RULES_FILE': 'Kurallar dosyasının yolu (varsayılan: .code-rules.md)',
+    'help.env.AI_GUARD_PROMPT_TEMPLATE': 'İstem şablonunun yolu (varsayılan: varsa .ai-guard-prompt.md)',
+    'help.env.AI_GUARD_LANGUAGE': 'İnceleme geri bildirimlerinin ve araç mesajlarının dili (en|tr|de, varsayılan: en)',
+    'help.env.AI_GUARD_AUDIT_LOG': 'Sağlayıcılara gönderilen her içeriğin özetini bu dosyaya ekler',
+    'help.env.AI_GUARD_PII': 'Kişisel verileri göndermeden önce maskeler (email,iban,phone,hostname|all, varsayılan: kapalı)',
+    'help.env.AI_GUARD_FAILURE_POLICY': 'İnceleme çalışamadığında ne yapılacağı (allow-with-flag|block|prompt ya da timeout=block,...)',
+    'help.env.AI_GUARD_SKIP': 'Yapay zekâ incelemesini bir gerekçeyle atlar, gerekçe commit trailer\'ı olarak kaydedilir',
+    'help.example.setup': '# Yeni projede kurulum',
+    'help.example.commit': '# API anahtarını ayarla ve commit et',
+    'help.example.provider': '# Farklı bir yapay zekâ sağlayıcısı kullan',
+    'help.example.ci': '# CI\'da bir pull request\'i incele',
+    'help.example.ollama': '# Yerel Ollama kullan',
+    'help.example.compatible': '# Kendi barındırdığın OpenAI uyumlu sunucuyu kullan',
+    'help.file.rules': 'Özel kodlama kuralları ve standartları',
+    'help.file.ignore': 'Yapay zekâ incelemesinden hariç tutulacak dosyalar',
+    'help.file.config': 'Paylaşılan ayarlar (ya da package.json içinde "aiCommitGuard")',
+    'help.file.prompt': '{{placeholders}} içeren özel istem şablonu',
+    'help.file.allowlist': 'Kabul edilen gizli bilgi bulgularının parmak izleri, satır başına bir tane',
+
+    'setup.start': '🚀 AI Commit Guard hook\'ları kuruluyor...\n',
+    'setup.notGit': '❌ Bu bir git deposu değil. Lütfen bir git deposunda çalıştırın.',
+    'setup.gitInit': '💡 Önce git\'i başlatın: git init',
+    'setup.installingHusky': '📦 husky kuruluyor...',
+    'setup.creatingPackage': '📝 package.json oluşturuluyor...',
+    'setup.huskyInstalled': '✅ Husky başarıyla kuruldu\n',
+    'setup.huskyManual': '⚠️  husky otomatik olarak kurulamadı. Lütfen elle kurun:',
+    'setup.preCommit': '🔍 pre-commit hook\'u kuruluyor...',
+    'setup.commitMsg': '📝 commit-msg hook\'u kuruluyor...',
+    'setup.gitignore': '📁 .gitignore güncelleniyor...',
+    'setup.gitignoreUpdated': '✅ AI Commit Guard girdileri .gitignore dosyasına eklendi',
+    'setup.sampleIgnore': '📋 Örnek .ai-guard-ignore oluşturuluyor...',
+    'setup.sampleRules': '📜 Örnek .code-rules.md oluşturuluyor...',
+    'setup.done': '\n🎉 AI Commit Guard kurulumu başarıyla tamamlandı!\n',
+    'setup.whatNow': '📋 Bundan sonra ne olacak:',
+    'setup.stepPreCommit': '  1. pre-commit: Yapay zekâ kod değişikliklerinizi inceler',
+    'setup.stepCommitMsg': '  2. commit-msg: Commit mesajına uygun etiketleri ekler\n',
+    'setup.configFiles': '📁 Yapılandırma dosyaları:',
+    'setup.rulesFile': '  .code-rules.md       - Kodlama standartlarınızı özelleştirin',
+    'setup.ignoreFile': '  .ai-guard-ignore     - Dosyaları yapay zekâ incelemesinden hariç tutun\n',
+    'setup.apiKey': '🔑 Yapay zekâ API anahtarınızı ayarlayın:',
+    'setup.or': '  # ya da',
+    'setup.tryIt': '🚀 Hemen deneyin:',
+    'setup.help': '\n💡 Yardım mı lazım? Diğer yapılandırma seçenekleri için README.md dosyasına bakın.',
+    'setup.failed': '❌ Kurulum başarısız oldu:',
+    'setup.manual': '\n🔧 Elle kurulum adımları:',
+    'setup.manualInstall': '1. husky\'yi kurun: npm install --save-dev husky',
+    'setup.manualInit': '2. Başlatın: npx husky init',
+    'setup.manualPreCommit': '3. pre-commit hook\'unu ekleyin: echo "npx ai-commit-guard" > .husky/pre-commit',
+    'setup.manualCommitMsg': '4. commit-msg hook\'unu ekleyin: echo "npx ai-commit-guard --commit-msg \\$1" > .husky/commit-msg',
+    'setup.manualChmod': '5. İzinleri ayarlayın: chmod +x .husky/*'
+  },
+
+  de: {
+    'review.readFailed': '{file} konnte nicht gelesen werden: {error}',
+    'review.ignoredFiles': '🔒 {count} binäre/sensible/ausgeschlossene Dateien ignoriert',
+    'review.filesUnavailable': 'Dateien für {target} konnten nicht ermittelt werden',
+    'review.largeFile': '{file} ist groß ({size}KB) und wird Hunk für Hunk geprüft',
+    'review.diffUnavailable': 'Diff für {file} konnte nicht ermittelt werden: {error}',
+    'review.providerSkipped': '{reason} (wird übersprungen)',
+    'review.fallingBack': '{provider} fehlgeschlagen ({error}), weiter mit {next}...',
+    'review.retrying': '{provider}-Anfrage fehlgeschlagen ({error}), neuer Versuch in {delay}s ({attempt}/{retries})...',
+    'review.receiving': 'Review wird empfangen...',
+    'review.chunkLabel': ' (Teil {index}/{total})',
+    'review.chunkFailed': 'Review von {files} fehlgeschlagen: {error}',
+    'review.usingCache': '📦 Zwischengespeichertes Ergebnis{label} von {provider} wird verwendet',
+    'review.sending': 'Änderungen{label} werden zur Prüfung an {provider} gesendet (Timeout: {seconds}s)...',
+    'review.sendingConsensus': 'Änderungen{label} werden für ein {policy}-Konsens-Review an {providers} gesendet (Timeout: {seconds}s)...',
+    'review.unstructured': 'KI-Antwort{label} entsprach nicht dem erwarteten JSON-Format, es wird auf Schlüsselwort-Erkennung zurückgegriffen',
+    'review.noVote': '{provider} hat{label} nicht geantwortet und wird bei der Abstimmung nicht berücksichtigt: {error}',
+    'review.checkingStaged': '🔍 Gestagte Dateien werden geprüft...',
+    'review.checkingTarget': '🔍 In {target} geänderte Dateien werden geprüft...',
+    'review.noRelevantFiles': 'Keine relevanten Dateien zu prüfen',
+    'review.reviewingFiles': '📝 {count} Dateien werden mit {reviewers} geprüft...',
+    'review.noChanges': 'Keine relevanten Änderungen zu prüfen',
+    'review.chunksSplit': '✂️  Änderungen in {count} Teile aufgeteilt{parallel}',
+    'review.chunksParallel': ', bis zu {concurrency} gleichzeitig',
+    'review.timedOut': 'KI-Review nach {seconds} Sekunden abgebrochen (Timeout)',
+    'review.reviewedBy': '🧠 Geprüft von {reviewers}',
+    'review.unreviewedFiles': '{count} Datei(en) konnten nicht geprüft werden: {files}',
+    'review.failed': 'Code-Review fehlgeschlagen!',
+    'review.blocking': '{count} Befund(e) mit Schweregrad "{failOn}" oder höher blockieren diesen Commit',
+    'review.passedWithWarnings': 'Code-Review mit Warnungen bestanden',
+    'review.passed': 'Code-Review bestanden!',
+    'review.error': 'Review fehlgeschlagen: {error}',
+    'review.requestFailed': 'API-Anfrage fehlgeschlagen ({status}): {error}',
+    'review.unsupportedProvider': 'Nicht unterstützter KI-Anbieter: {provider}',
+    'consensus.summary': 'Konsens ({policy}): {verdict} - {votes}',
+    'consensus.approved': '{provider} hat zugestimmt',
+    'consensus.rejected': '{provider} hat abgelehnt',
+    'target.invalidRange': 'Ungültiger Bereich "{range}" - erwartet wird <base>..<head>',
+    'target.invalidRef': 'Ungültige Git-Referenz "{ref}"',
+    'target.unknownRef': 'Unbekannte Git-Referenz "{ref}"',
+    'failure.type.missingKey': 'Für keinen KI-Anbieter ist ein API-Schlüssel konfiguriert',
+    'failure.type.timeout': 'Das KI-Review hat das Zeitlimit überschritten',
+    'failure.type.error': 'Das KI-Review konnte nicht abgeschlossen werden',
+    'failure.partial': '{reason} (bei {count} Datei(en))',
+    'failure.prompt': '{reason}. Ohne KI-Review committen? [j/N] ',
+    'failure.answers': 'j,ja,y,yes',
+    'failure.noTerminal': 'Kein Terminal für eine Rückfrage verfügbar',
+    'failure.blocked': 'Commit blockiert: {reason} (Fehlerrichtlinie für {type}: {policy})',
+    'override.applied': 'KI-Review mit AI_GUARD_SKIP übersprungen: "{reason}". Der Commit wird mit [{flag}] markiert',
+    'override.noReason': 'AI_GUARD_SKIP ist leer, daher läuft das Review wie gewohnt. Zum Überspringen eine Begründung angeben',
+    'override.notStaged': 'AI_GUARD_SKIP gilt nur für lokale Commits, daher läuft das Review wie gewohnt',
+    'finding.rule': 'Regel: {rule}',
+    'finding.fix': 'Lösung: {fix}',
+    'finding.agreedBy': 'Übereinstimmend: {agreement}',
+
+    'config.invalid': 'Ungültige Konfiguration in {source}:',
+    'config.unknownFormat': 'Unbekanntes Ausgabeformat "{format}" (erwartet: {formats})',
+    'config.invalidConsensus': 'Ungültiges AI_GUARD_CONSENSUS "{value}" wird ignoriert (erwartet: {values})',
+    'config.invalidPii': 'Unbekannte(r) PII-Detektor(en) in AI_GUARD_PII: {value} ({values} oder all verwenden)',
+    'config.invalidFailurePolicy': 'Ungültige AI_GUARD_FAILURE_POLICY-Einträge werden ignoriert: {value} ({values} verwenden oder <Typ>=<Richtlinie> für {types})',
+    'config.consensusTooFew': 'Konsens-Review braucht mindestens {count} Anbieter mit API-Schlüssel in AI_PROVIDER, es wird mit einem einzelnen Anbieter geprüft',
+    'config.invalidFailOn': 'Ungültiges AI_GUARD_FAIL_ON "{value}" wird ignoriert (erwartet: {values})',
+    'config.invalidHeaders': 'OPENAI_COMPATIBLE_HEADERS muss ein JSON-Objekt aus Header-Namen und String-Werten sein',
+    'config.azureEndpoint': 'Azure-OpenAI-Endpunkt ist nicht konfiguriert: AZURE_OPENAI_ENDPOINT oder "azure.endpoint" in {file} setzen',
+    'key.missing': 'Kein API-Schlüssel für {provider}: {envNames} oder AI_GUARD_KEY_COMMAND / AI_GUARD_KEY_FILE setzen',
+    'key.or': ' oder ',
+    'key.noneAvailable': 'Kein KI-Anbieter mit API-Schlüssel verfügbar',
+    'key.commandEmpty': 'Befehl hat nichts ausgegeben',
+    'key.commandFailed': 'AI_GUARD_KEY_COMMAND für {provider} fehlgeschlagen: {detail}',
+    'key.fileMissing': 'AI_GUARD_KEY_FILE für {provider} nicht gefunden: {file}',
+    'key.fileEmpty': 'AI_GUARD_KEY_FILE für {provider} ist leer: {file}',
+    'key.supportedProviders': 'Unterstützte Anbieter: OpenAI, Azure OpenAI, Claude, Gemini, Cohere, Ollama, OpenAI-kompatibel',
+
+    'secrets.found': 'Mögliche Secrets an {count} Stelle(n), Commit vor jedem KI-Aufruf blockiert:',
+    'secrets.summary': 'Der lokale Secret-Scanner hat {count} mögliche(s) Secret(s) in den hinzugefügten Zeilen gefunden.',
+    'secrets.message': '{name} erkannt: {preview} ({length} Zeichen), Fingerabdruck {fingerprint}',
+    'secrets.fix': 'Wert entfernen, die Zugangsdaten rotieren und aus der Umgebung oder einem Secret-Manager laden',
+    'secrets.allowlistHint': 'Fehlalarm? Den Fingerabdruck in {file} oder "secretScan.allowlist" in der Konfiguration eintragen',
+    'secrets.scanFailed': 'Secret-Scan fehlgeschlagen: {error}',
+    'redaction.applied': '{count} sensible(r) Wert(e) vor dem Senden maskiert: {summary}',
+    'redaction.none': 'Keine sensiblen Werte zu maskieren',
+    'dryRun.start': 'Probelauf: Review-Payload wird ohne Kontakt zu einem KI-Anbieter erstellt',
+    'dryRun.summary': '{files} Datei(en) in {chunks} Teil(en) würden als {requests} Anfrage(n) gesendet, etwa {tokens} Prompt-Tokens',
+    'dryRun.payloadWritten': 'Payload in {file} geschrieben',
+    'dryRun.payloadHint': 'Mit --show-payload [Datei] die exakten Anfragen anzeigen',
+    'audit.writeFailed': 'Audit-Log {file} konnte nicht geschrieben werden: {error}',
+
+    'template.notFound': 'Prompt-Vorlage {file} nicht gefunden, der eingebaute Prompt wird verwendet',
+    'template.unreadable': 'Prompt-Vorlage {file} konnte nicht gelesen werden: {error}, der eingebaute Prompt wird verwendet',
+    'template.unknownPlaceholders': 'Prompt-Vorlage {file} enthält unbekannte Platzhalter: {unknown} (verfügbar: {available})',
+    'template.noChanges': 'Prompt-Vorlage {file} enthält keinen {{changes}}-Platzhalter, die Änderungen werden am Ende angehängt',
+
+    'fixture.recorded': '📼 Fixture aufgezeichnet: {file}',
+    'fixture.failed': 'Fixture konnte nicht aufgezeichnet werden: {error}',
+    'report.written': '📄 {format}-Bericht nach {file} geschrieben',
+    'report.failed': '{format}-Bericht konnte nicht geschrieben werden: {error}',
+    'cache.writeFailed': 'Cache konnte nicht geschrieben werden: {error}',
+    'commitMsg.flagAdded': 'Markierung hinzugefügt: [{flag}]',
+    'commitMsg.reasonAdded': '{trailer} festgehalten: {reason}',
+    'commitMsg.failed': 'Commit-Nachricht konnte nicht verarbeitet werden: {error}',
+    'commitMsg.unavailable': 'Commit-Nachricht konnte nicht ermittelt werden: {error}',
+
+    'budget.reached': 'Tagesbudget von ${budget} erreicht (heute ${spent} ausgegeben)',
+    'budget.skipping': '{reached}, KI-Review wird übersprungen',
+    'budget.noCheaperModel': '{reached} und kein günstigeres Modell konfiguriert, KI-Review wird übersprungen',
+    'budget.switching': '{reached}, Wechsel zu {models}',
+
+    'usage.title': '💰 AI Commit Guard Nutzung - letzte {days} Tage ({file})',
+    'usage.empty': 'Noch keine KI-Aufrufe aufgezeichnet.',
+    'usage.date': 'Datum',
+    'usage.provider': 'Anbieter',
+    'usage.model': 'Modell',
+    'usage.calls': 'Aufrufe',
+    'usage.input': 'Eingabe',
+    'usage.output': 'Ausgabe',
+    'usage.cost': 'Kosten',
+    'usage.total': 'Gesamt: ${total} bei {calls} Aufrufen',
+    'usage.today': 'Heute: ${spent}{budget}',
+    'usage.budget': ' von ${budget} Tagesbudget',
+    'usage.estimated': '~ Token-Anzahl aus der Textlänge geschätzt, wo der Anbieter keine Nutzung gemeldet hat',
+
+    'version.tagline': 'Universelles KI-gestütztes Pre-Commit-Code-Review-Tool',
+    'version.providers': 'Unterstützte KI-Anbieter:',
+    'version.local': 'Ollama (lokal)',
+    'version.moreInfo': 'Mehr Infos: {url}',
+
+    'help.title': '🤖 AI Commit Guard - Universelles KI-gestütztes Code-Review-Tool',
+    'help.usage': 'VERWENDUNG:',
+    'help.options': 'OPTIONEN:',
+    'help.environment': 'UMGEBUNGSVARIABLEN:',
+    'help.examples': 'BEISPIELE:',
+    'help.files': 'KONFIGURATIONSDATEIEN:',
+    'help.moreInfo': 'Weitere Informationen:',
+    'help.option.setup': 'AI Commit Guard Hooks im aktuellen Projekt einrichten',
+    'help.option.commitMsg': 'Commit-Nachricht verarbeiten (von Git-Hooks verwendet)',
+    'help.option.range': 'Diff zwischen zwei Refs prüfen (CI-Modus)',
+    'help.option.commit': 'Änderungen eines einzelnen Commits prüfen (CI-Modus)',
+    'help.option.format': 'Berichtsformat (text|json|sarif|junit|markdown)',
+    'help.option.output': 'Bericht in eine Datei statt nach stdout schreiben',
+    'help.option.dryRun': 'Review-Payload erstellen, ohne einen Anbieter aufzurufen',
+    'help.option.showPayload': 'Exakte Anfragen ausgeben oder in eine Datei schreiben (impliziert --dry-run)',
+    'help.option.usage': 'Token-Nutzung und geschätzte Kosten pro Anbieter, Modell und Tag anzeigen',
+    'help.option.version': 'Versionsinformationen anzeigen',
+    'help.option.help': 'Diese Hilfe anzeigen',
+    'help.env.OPENAI_API_KEY': 'OpenAI API-Schlüssel',
+    'help.env.CLAUDE_API_KEY': 'Anthropic Claude API-Schlüssel',
+    'help.env.GEMINI_API_KEY': 'Google Gemini API-Schlüssel',
+    'help.env.COHERE_API_KEY': 'Cohere API-Schlüssel',
+    'help.env.AI_API_KEY': 'Allgemeiner API-Schlüssel, wenn kein anbieterspezifischer Schlüssel gesetzt ist',
+    'help.env.AI_GUARD_KEY_COMMAND': 'Befehl, der den API-Schlüssel ausgibt, z. B. "op read op://dev/{provider}/key"',
+    'help.env.AI_GUARD_KEY_FILE': 'Datei mit dem API-Schlüssel, z. B. ~/.config/ai-guard/{provider}.key',
+    'help.env.AI_PROVIDER': 'KI-Anbieter oder eine Fallback-Liste wie "claude,openai,ollama"',
+    'help.env.AI_MODEL': 'Zu verwendender Modellname',
+    'help.env.AZURE_OPENAI_API_KEY': 'Azure OpenAI API-Schlüssel',
+    'help.env.AZURE_OPENAI_ENDPOINT': 'Azure OpenAI Ressourcen-Endpunkt, z. B. https://my-resource.openai.azure.com',
+    'help.env.AZURE_OPENAI_DEPLOYMENT': 'Azure Deployment-Name (Standard: der Modellname)',
+    'help.env.AZURE_OPENAI_API_VERSION': 'Azure OpenAI api-version (Standard: 2024-02-01)',
+    'help.env.AI_GUARD_FIXTURES': 'Fixture-Verzeichnis für den mock-Anbieter (Standard: .ai-guard-fixtures)',
+    'help.env.AI_GUARD_RECORD': 'Jedes Prompt/Antwort-Paar im Fixture-Verzeichnis speichern',
+    'help.env.OPENAI_COMPATIBLE_BASE_URL': 'Basis-URL eines OpenAI-kompatiblen Servers (vLLM, LM Studio, llama.cpp)',
+    'help.env.OPENAI_COMPATIBLE_API_KEY': 'Optionaler API-Schlüssel für den OpenAI-kompatiblen Server',
+    'help.env.OPENAI_COMPATIBLE_HEADERS': 'Zusätzliche Request-Header als JSON, z. B. \'{"X-Team": "core"}\'',
+    'help.env.AI_GUARD_TIMEOUT': 'Review-Timeout in Millisekunden (Standard: 30000)',
+    'help.env.AI_GUARD_TOTAL_TIMEOUT': 'Zeitbudget für das gesamte Review in Millisekunden (Standard: ein Timeout pro Teilrunde und Ausweich-Anbieter)',
+    'help.env.AI_GUARD_MAX_FILE_SIZE': 'Diff-Größe in Bytes, ab der eine Datei in Hunks aufgeteilt wird (Standard: 50000)',
+    'help.env.AI_GUARD_CONTEXT_TOKENS': 'Kontextfenster des Modells für die Aufteilung überschreiben',
+    'help.env.AI_GUARD_CONCURRENCY': 'Anzahl parallel geprüfter Teile (Standard: 1)',
+    'help.env.AI_GUARD_STREAM': 'Antworten streamen und Befunde sofort anzeigen (OpenAI, Claude, Ollama, Azure, OpenAI-kompatibel)',
+    'help.env.AI_GUARD_RETRY_COUNT': 'Wiederholungen bei 429/5xx/Netzwerkfehlern innerhalb des Timeouts (Standard: 2)',
+    'help.env.AI_GUARD_CONSENSUS': 'Mit jedem Anbieter in AI_PROVIDER prüfen und Urteile kombinieren (any-reject|majority|all-reject)',
+    'help.env.AI_GUARD_DAILY_BUDGET': 'Tägliches Ausgabenlimit in USD über alle Reviews',
+    'help.env.AI_GUARD_BUDGET_ACTION': 'Verhalten bei überschrittenem Budget (cheaper-model|skip, Standard: cheaper-model)',
+    'help.env.AI_GUARD_USAGE_FILE': 'Pfad des Nutzungsprotokolls (Standard: .ai-guard-usage.jsonl)',
+    'help.env.AI_GUARD_FAIL_ON': 'Niedrigster Schweregrad, der einen Commit blockiert (critical|high|medium|low|info)',
+    'help.env.AI_GUARD_SECRET_SCAN': 'Commits mit Secrets vor jedem KI-Aufruf blockieren (Standard: an)',
+    'help.env.AI_GUARD_CACHE_DURATION': 'Cache-Lebensdauer in Millisekunden (Standard: 86400000)',
+    'help.env.AI_GUARD_RULES_FILE': 'Pfad zur Regeldatei (Standard: .code-rules.md)',
+    'help.env.AI_GUARD_PROMPT_TEMPLATE': 'Pfad zu einer Prompt-Vorlage (Standard: .ai-guard-prompt.md, falls vorhanden)',
+    'help.env.AI_GUARD_LANGUAGE': 'Sprache des Review-Feedbacks und der Tool-Meldungen (en|tr|de, Standard: en)',
+    'help.env.AI_GUARD_AUDIT_LOG': 'Hash jeder an einen Anbieter gesendeten Payload an diese Datei anhängen',
+    'help.env.AI_GUARD_PII': 'Personenbezogene Daten vor dem Senden maskieren (email,iban,phone,hostname|all, Standard: aus)',
+    'help.env.AI_GUARD_FAILURE_POLICY': 'Verhalten, wenn das Review nicht laufen kann (allow-with-flag|block|prompt oder timeout=block,...)',
+    'help.env.AI_GUARD_SKIP': 'KI-Review mit Begründung überspringen, die Begründung wird als Commit-Trailer festgehalten',
+    'help.example.setup': '# Einrichtung in einem neuen Projekt',
+    'help.example.commit': '# API-Schlüssel setzen und committen',
+    'help.example.provider': '# Einen anderen KI-Anbieter verwenden',
+    'help.example.ci': '# Einen Pull Request in der CI prüfen',
+    'help.example.ollama': '# Lokales Ollama verwenden',
+    'help.example.compatible': '# Einen selbst gehosteten OpenAI-kompatiblen Server verwenden',
+    'help.file.rules': 'Eigene Coding-Regeln und Standards',
+    'help.file.ignore': 'Vom KI-Review ausgeschlossene Dateien',
+    'help.file.config': 'Gemeinsame Einstellungen (oder "aiCommitGuard" in package.json)',
+    'help.file.prompt': 'Eigene Prompt-Vorlage mit {{placeholders}}',
+    'help.file.allowlist': 'Fingerabdrücke akzeptierter Secret-Scan-Funde, einer pro Zeile',
+
+    'setup.start': '🚀 AI Commit Guard Hooks werden eingerichtet...\n',
+    'setup.notGit': '❌ Kein Git-Repository. Bitte in einem Git-Repository ausführen.',
+    'setup.gitInit': '💡 Zuerst Git initialisieren: git init',
+    'setup.installingHusky': '📦 husky wird installiert...',
+    'setup.creatingPackage': '📝 package.json wird erstellt...',
+    'setup.huskyInstalled': '✅ Husky erfolgreich installiert\n',
+    'setup.huskyManual': '⚠️  husky konnte nicht automatisch installiert werden. Bitte manuell installieren:',
+    'setup.preCommit': '🔍 pre-commit Hook wird eingerichtet...',
+    'setup.commitMsg': '📝 commit-msg Hook wird eingerichtet...',
+    'setup.gitignore': '📁 .gitignore wird aktualisiert...',
+    'setup.gitignoreUpdated': '✅ AI Commit Guard Einträge zu .gitignore hinzugefügt',
+    'setup.sampleIgnore': '📋 Beispiel-.ai-guard-ignore wird erstellt...',
+    'setup.sampleRules': '📜 Beispiel-.code-rules.md wird erstellt...',
+    'setup.done': '\n🎉 AI Commit Guard erfolgreich eingerichtet!\n',
+    'setup.whatNow': '📋 Wie es jetzt weitergeht:',
+    'setup.stepPreCommit': '  1. pre-commit: Die KI prüft deine Code-Änderungen',
+    'setup.stepCommitMsg': '  2. commit-msg: Fügt der Commit-Nachricht passende Markierungen hinzu\n',
+    'setup.configFiles': '📁 Konfigurationsdateien:',
+    'setup.rulesFile': '  .code-rules.md       - Eigene Coding-Standards festlegen',
+    'setup.ignoreFile': '  .ai-guard-ignore     - Dateien vom KI-Review ausschließen\n',
+    'setup.apiKey': '🔑 KI-API-Schlüssel setzen:',
+    'setup.or': '  # oder',
+    'setup.tryIt': '🚀 Gleich ausprobieren:',
+    'setup.help': '\n💡 Hilfe nötig? Weitere Konfigurationsoptionen stehen in der README.md.',
+    'setup.failed': '❌ Einrichtung fehlgeschlagen:',
+    'setup.manual': '\n🔧 Manuelle Einrichtung:',
+    'setup.manualInstall': '1. husky installieren: npm install --save-dev husky',
+    'setup.manualInit': '2. Initialisieren: npx husky init',
+    'setup.manualPreCommit': '3. pre-commit Hook hinzufügen: echo "npx ai-commit-guard" > .husky/pre-commit',
+    'setup.manualCommitMsg': '4. commit-msg Hook hinzufügen: echo "npx ai-commit-guard --commit-msg \\$1" > .husky/commit-msg',
+    'setup.manualChmod': '5. Berechtigungen setzen: chmod +x .husky/*'
+  }
+};
+
+// Accepts "tr", "TR", "de-DE" or "de_DE.UTF-8" and returns the catalog code, or null
+function resolveLanguage(value) {
+  const code = String(value || '').trim().toLowerCase().split(/[-_.]/)[0];
+  return Object.prototype.hasOwnProperty.call(MESSAGES, code) ? code : null;
+}
+
+function translate(language, key, params = {}) {
+  const catalog = MESSAGES[resolveLanguage(language) || DEFAULT_LANGUAGE];
+  const message = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+
+  if (message === undefined) {
+    return key;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match);
+}
+
+module.exports = { DEFAULT_LANGUAGE, LANGUAGE_NAMES, MESSAGES, resolveLanguage, translate };
@@ -2,33 +2,38 @@
 
 const { execSync } = require('child_process');
 const { writeFileSync, existsSync, mkdirSync, chmodSync, readFileSync, appendFileSync } = require('fs');
+const AICommitGuard = require('./index');
 
 async function runSetup() {
-    console.log('🚀 Setting up AI Commit Guard hooks...\n');
+    // Same language resolution as the hooks: AI_GUARD_LANGUAGE, then "language" in the project config
+    const guard = new AICommitGuard();
+    const t = (key, params) => guard._t(key, params);
+
+    console.log(t('setup.start'));
 
     try {
         try {
             execSync('git rev-parse --git-dir', { stdio: 'ignore' });
         } catch (error) {
-            console.log('❌ Not a git repository. Please run this in a git repository.');
-            console.log('💡 Initialize git first: git init');
+            console.log(t('setup.notGit'));
+            console.log(t('setup.gitInit'));
             process.exit(1);
         }
 
         if (!existsSync('.husky')) {
-            console.log('📦 Installing husky...');
+            console.log(t('setup.installingHusky'));
 
             if (!existsSync('package.json')) {
-                console.log('📝 Creating package.json...');
+                console.log(t('setup.creatingPackage'));
                 execSync('npm init -y', { stdio: 'inherit' });
             }
 
             try {
                 execSync('npm install --save-dev husky', { stdio: 'inherit' });
                 execSync('npx husky init', { stdio: 'inherit' });
-                console.log('✅ Husky installed successfully\n');
+                console.log(t('setup.huskyInstalled'));
             } catch (error) {
-                console.log('⚠️  Could not install husky automatically. Please install manually:');
+                console.log(t('setup.huskyManual'));
                 console.log('   npm install --save-dev husky');
                 console.log('   npx husky init\n');
             }
@@ -38,7 +43,7 @@ async function runSetup() {
             mkdirSync('.husky', { recursive: true });
         }
 
-        console.log('🔍 Setting up pre-commit hook...');
+        console.log(t('setup.preCommit'));
         const preCommitHook = `npx ai-commit-guard`;
         writeFileSync('.husky/pre-commit', preCommitHook);
 
@@ -49,7 +54,7 @@ async function runSetup() {
             }
         }
 
-        console.log('📝 Setting up commit-msg hook...');
+        console.log(t('setup.commitMsg'));
         const commitMsgHook = `npx ai-commit-guard --commit-msg "$1"`;
         writeFileSync('.husky/commit-msg', commitMsgHook);
 
@@ -60,11 +65,12 @@ async function runSetup() {
             }
         }
 
-        console.log('📁 Updating .gitignore...');
+        console.log(t('setup.gitignore'));
         const gitignoreEntries = `
 # AI Commit Guard
 .ai-guard-cache/
 .ai-guard-result
+.ai-guard-usage.jsonl
 `;
 
         let gitignoreContent = '';
@@ -74,11 +80,11 @@ async function runSetup() {
 
         if (!gitignoreContent.includes('.ai-guard-cache/')) {
             appendFileSync('.gitignore', gitignoreEntries);
-            console.log('✅ Added AI Commit Guard entries to .gitignore');
+            console.log(t('setup.gitignoreUpdated'));
         }
 
         if (!existsSync('.ai-guard-ignore')) {
-            console.log('📋 Creating sample .ai-guard-ignore...');
+            console.log(t('setup.sampleIgnore'));
             const sampleIgnore = `# AI Commit Guard - Files to exclude from review
 
 # Sensitive files (automatically ignored by default)
@@ -103,7 +109,7 @@ package-lock.json
         }
 
         if (!existsSync('.code-rules.md')) {
-            console.log('📜 Creating sample .code-rules.md...');
+            console.log(t('setup.sampleRules'));
             const sampleRules = `# Project Code Review Rules
 
 ## Code Quality
@@ -129,35 +135,35 @@ package-lock.json
             writeFileSync('.code-rules.md', sampleRules);
         }
 
-        console.log('\n🎉 AI Commit Guard setup completed successfully!\n');
+        console.log(t('setup.done'));
 
-        console.log('📋 What happens now:');
-        console.log('  1. pre-commit: AI reviews your code changes');
-        console.log('  2. commit-msg: Adds appropriate flags to commit message\n');
+        console.log(t('setup.whatNow'));
+        console.log(t('setup.stepPreCommit'));
+        console.log(t('setup.stepCommitMsg'));
 
-        console.log('📁 Configuration files:');
-        console.log('  .code-rules.md       - Customize your coding standards');
-        console.log('  .ai-guard-ignore     - Exclude files from AI review\n');
+        console.log(t('setup.configFiles'));
+        console.log(t('setup.rulesFile'));
+        console.log(t('setup.ignoreFile'));
 
-        console.log('🔑 Set your AI API key:');
+        console.log(t('setup.apiKey'));
         console.log('  export OPENAI_API_KEY="sk-your-openai-key"');
-        console.log('  # or');
+        console.log(t('setup.or'));
         console.log('  export CLAUDE_API_KEY="sk-ant-your-claude-key"');
         console.log('  export AI_PROVIDER="claude"\n');
 
-        console.log('🚀 Try it now:');
+        console.log(t('setup.tryIt'));
         console.log('  git add .');
         console.log('  git commit -m "feat: your feature description"');
-        console.log('\n💡 Need help? Check the README.md for more configuration options.');
+        console.log(t('setup.help'));
 
     } catch (error) {
-        console.error('❌ Setup failed:', error.message);
-        console.log('\n🔧 Manual setup instructions:');
-        console.log('1. Install husky: npm install --save-dev husky');
-        console.log('2. Initialize: npx husky init');
-        console.log('3. Add pre-commit hook: echo "npx ai-commit-guard" > .husky/pre-commit');
-        console.log('4. Add commit-msg hook: echo "npx ai-commit-guard --commit-msg \\$1" > .husky/commit-msg');
-        console.log('5. Set permissions: chmod +x .husky/*');
+        console.error(t('setup.failed'), error.message);
+        console.log(t('setup.manual'));
+        console.log(t('setup.manualInstall'));
+        console.log(t('setup.manualInit'));
+        console.log(t('setup.manualPreCommit'));
+        console.log(t('setup.manualCommitMsg'));
+        console.log(t('setup.manualChmod'));
         process.exit(1);
     }
 }